@@ -0,0 +1,285 @@
+// auth.js
+// Login, JWT verification and role/permission middleware shared by all routes.
+// Admins pass every role and permission check.
+//
+// Sessions use a short-lived JWT access token plus an opaque refresh token
+// stored (hashed) server-side. Refreshing rotates the refresh token; presenting
+// one that was already rotated revokes its whole family, since that means it
+// leaked. Access tokens carry the user's token_version, so bumping it (logout
+// everywhere, credential changes, account deletion) kills them immediately.
+//
+// Integrations authenticate with an API key instead, sent as `X-API-Key` or
+// as the Bearer token. A key acts as its owner but only within its scopes,
+// and only on routes gated by requirePermission; role-gated routes (account
+// and key management, writes) and requireSession routes stay JWT-only.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const models = require('./models');
+const { ForbiddenError } = require('./errors');
+
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'supersecret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Emailed single-purpose tokens. Each embeds a fingerprint of the state it
+// acts on (the address to verify, the password to replace), so it stops
+// working once that state changes: a reset link works once, and a verify
+// link dies when the email is changed again.
+const ACTION_TOKENS = {
+  'verify-email': { ttl: '2d', fingerprint: user => user.email },
+  'reset-password': { ttl: '1h', fingerprint: user => user.password || '' }
+};
+
+// What each role may do. Scoping to the caller's own rows (their orders,
+// their payouts) happens in the routes; these only gate the route itself.
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  retailer: [
+    'products:read', 'products:manage', 'campaigns:read', 'campaigns:manage',
+    'orders:read', 'orders:write', 'orders:manage', 'scans:write',
+    'analytics:read', 'payouts:read', 'payouts:settle', 'stores:read', 'stores:manage'
+  ],
+  distributor: ['orders:read', 'payouts:read'],
+  advertiser: ['commissions:read', 'payouts:read'],
+  customer: ['orders:read']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// What each API key scope grants, on top of the owner's role
+const API_KEY_SCOPES = {
+  'read-only': ['products:read', 'campaigns:read', 'orders:read', 'analytics:read', 'payouts:read', 'stores:read'],
+  'scans-write': ['scans:write'],
+  'orders-write': ['orders:write']
+};
+const API_KEY_PREFIX = 'gk_';
+
+function signToken(user) {
+  return jwt.sign(
+    { id: user.id, role: user.role, email: user.email, tv: user.token_version || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+async function createSession(user, { familyId = uuidv4(), userAgent = null } = {}, db) {
+  const raw = crypto.randomBytes(32).toString('base64url');
+  const record = await models.createRefreshToken({
+    user_id: user.id,
+    token_hash: hashToken(raw),
+    family_id: familyId,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000),
+    user_agent: userAgent
+  }, db);
+  return { raw, record };
+}
+
+// Login response body: `token` stays the access token for older clients
+async function issueTokens(user, { userAgent } = {}) {
+  const { raw } = await createSession(user, { userAgent });
+  return { token: signToken(user), refresh_token: raw, expires_in: ACCESS_TOKEN_TTL };
+}
+
+// Swap a refresh token for a new pair, or null if it is unknown, expired or
+// revoked. Reusing a rotated token revokes every token descended from it.
+async function rotateRefreshToken(raw, { userAgent } = {}) {
+  return models.withTransaction(async client => {
+    const current = await models.getRefreshTokenByHash(hashToken(raw), client);
+    if (!current) return null;
+    if (current.revoked_at) {
+      if (current.replaced_by) await models.revokeRefreshTokenFamily(current.family_id, client);
+      return null;
+    }
+    if (new Date(current.expires_at) <= new Date()) return null;
+    const { rows } = await client.query('SELECT * FROM users WHERE id=$1', [current.user_id]);
+    const user = rows[0];
+    if (!user) return null;
+    const next = await createSession(user, { familyId: current.family_id, userAgent }, client);
+    await models.revokeRefreshToken(current.id, next.record.id, client);
+    return { token: signToken(user), refresh_token: next.raw, expires_in: ACCESS_TOKEN_TTL };
+  });
+}
+
+// Revoke one refresh token; only its owner may do so. Returns whether it was found.
+async function revokeSession(raw, userId) {
+  const record = await models.getRefreshTokenByHash(hashToken(raw));
+  if (!record || record.user_id !== userId) return false;
+  await models.revokeRefreshToken(record.id);
+  return true;
+}
+
+function fingerprint(purpose, user) {
+  return hashToken(`${purpose}:${ACTION_TOKENS[purpose].fingerprint(user)}`).slice(0, 16);
+}
+
+function signActionToken(user, purpose) {
+  return jwt.sign(
+    { sub: user.id, purpose, fp: fingerprint(purpose, user) },
+    JWT_SECRET,
+    { expiresIn: ACTION_TOKENS[purpose].ttl }
+  );
+}
+
+// The user an action token was issued to, or null if it is invalid, expired,
+// meant for something else or already used up
+async function verifyActionToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (payload.purpose !== purpose) return null;
+  const user = await models.getUserById(payload.sub);
+  if (!user || payload.fp !== fingerprint(purpose, user)) return null;
+  return user;
+}
+
+// A new key; only the hash is stored, the key itself is shown once
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, prefix: key.slice(0, 10), key_hash: hashToken(key) };
+}
+
+function readApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header;
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith(`Bearer ${API_KEY_PREFIX}`)) return auth.slice('Bearer '.length);
+  return null;
+}
+
+// The principal for an API key: its owner, narrowed to the key's scopes
+async function apiKeyPrincipal(key) {
+  const record = await models.useApiKey(hashToken(key));
+  if (!record) return null;
+  return { id: record.user_id, role: record.role, email: record.email, api_key_id: record.id, scopes: record.scopes };
+}
+
+// Resolves the user for a username/email and password pair, or null.
+// `role` restricts the login to one role (e.g. the retailer login route).
+async function verifyCredentials(login, password, { role } = {}) {
+  const user = await models.getUserByLogin(login);
+  if (!user || !user.password) return null;
+  if (role && user.role !== role) return null;
+  const match = await bcrypt.compare(password, user.password);
+  return match ? user : null;
+}
+
+async function authenticate(req, res, next) {
+  const apiKey = readApiKey(req);
+  if (apiKey) {
+    req.user = await apiKeyPrincipal(apiKey);
+    if (!req.user) return res.status(401).json({ error: 'Invalid API key' });
+    return next();
+  }
+  const auth = req.headers.authorization;
+  if (!auth || !auth.startsWith('Bearer ')) return res.status(401).json({ error: 'Missing token' });
+  let payload;
+  try {
+    payload = jwt.verify(auth.split(' ')[1], JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  // Emailed action tokens are signed with the same secret but are not sessions
+  if (payload.purpose) return res.status(401).json({ error: 'Invalid token' });
+  // Deleted users and bumped token versions invalidate outstanding tokens
+  const version = await models.getTokenVersion(payload.id);
+  if (version === null || version !== (payload.tv || 0)) {
+    return res.status(401).json({ error: 'Token revoked' });
+  }
+  req.user = payload;
+  next();
+}
+
+// Account routes act on the login session itself, so API keys are turned away
+function rejectApiKey(req, res, next) {
+  if (req.user.api_key_id) {
+    return next(new ForbiddenError('API keys cannot access this endpoint'));
+  }
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.user.api_key_id) return rejectApiKey(req, res, next);
+    if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+      return next(new ForbiddenError(`Access limited to: ${roles.join(', ')}`));
+    }
+    next();
+  };
+}
+
+function hasPermission(user, permission) {
+  const granted = ROLE_PERMISSIONS[user.role] || [];
+  if (!granted.includes('*') && !granted.includes(permission)) return false;
+  return !user.scopes || user.scopes.some(scope => (API_KEY_SCOPES[scope] || []).includes(permission));
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return next(new ForbiddenError(`Missing permission: ${permission}`));
+    }
+    next();
+  };
+}
+
+// For routes that are public but also take integration traffic: without an
+// API key the request passes through untouched; with one, the key must be
+// valid and carry `permission`, and req.user is set to its principal
+function allowApiKey(permission) {
+  return async (req, res, next) => {
+    const apiKey = readApiKey(req);
+    if (!apiKey) return next();
+    req.user = await apiKeyPrincipal(apiKey);
+    if (!req.user) return res.status(401).json({ error: 'Invalid API key' });
+    if (!hasPermission(req.user, permission)) {
+      return next(new ForbiddenError(`Missing permission: ${permission}`));
+    }
+    next();
+  };
+}
+
+// The id that scopes tenant queries, or null for admins who see everything
+function tenantId(user) {
+  return user.role === 'admin' ? null : user.id;
+}
+
+// Middleware chains used across index.js
+const requireAuth = [authenticate];
+const requireSession = [authenticate, rejectApiKey];
+const requireRetailerAuth = [authenticate, requireRole('retailer')];
+const requireAdmin = [authenticate, requireRole('admin')];
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  signToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  signActionToken,
+  verifyActionToken,
+  generateApiKey,
+  verifyCredentials,
+  authenticate,
+  requireRole,
+  requirePermission,
+  allowApiKey,
+  hasPermission,
+  tenantId,
+  requireAuth,
+  requireSession,
+  requireRetailerAuth,
+  requireAdmin
+};
@@ -0,0 +1,40 @@
+// enrichment/cache.js
+// In-memory TTL cache keyed by a rounded lat/lon grid cell, so nearby scans
+// share one upstream lookup.
+
+// Rounds coords to `precision` decimal places (3 ≈ 110 m, 1 ≈ 11 km)
+function gridKey(lat, lon, precision) {
+  return `${Number(lat).toFixed(precision)},${Number(lon).toFixed(precision)}`;
+}
+
+class TtlCache {
+  constructor({ ttlMs, maxEntries = 5000 }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value) {
+    // Map preserves insertion order, so the first key is the oldest
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = { TtlCache, gridKey };
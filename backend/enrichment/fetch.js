@@ -0,0 +1,24 @@
+// enrichment/fetch.js
+// node-fetch with a hard timeout so a slow upstream can't pile up requests
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args)); // Fix for ESM
+
+const TIMEOUT_MS = parseInt(process.env.ENRICHMENT_TIMEOUT_MS, 10) || 5000;
+
+async function fetchJson(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  const host = new URL(url).host;
+  let res;
+  try {
+    res = await fetch(url, { ...options, signal: controller.signal });
+  } catch (err) {
+    // Report the host only: query strings can carry API keys
+    throw new Error(`Request to ${host} failed (${err.code || err.name})`);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${host}`);
+  return res.json();
+}
+
+module.exports = { fetchJson };
@@ -0,0 +1,179 @@
+// enrichment/index.js
+// Scan enrichment: fills in city/suburb/region and weather for scans that
+// carry coordinates. Providers are chosen by config, lookups are cached per
+// grid cell, and work runs off the request path so scan inserts return
+// immediately; the fields are backfilled once the lookups complete. Weather
+// is the current weather, so it is only filled in for scans made within the
+// weather cache TTL; older scans keep it empty.
+//
+//   GEOCODER_PROVIDER   nominatim | offline | none   (default nominatim)
+//   WEATHER_PROVIDER    openweathermap | offline | none
+//                       (default openweathermap when OPENWEATHER_API_KEY is set)
+//   NODE_ENV=test       defaults both providers to offline
+const { TtlCache, gridKey } = require('./cache');
+const { createNominatimGeocoder } = require('./nominatim');
+const { createOpenWeatherMapProvider } = require('./openWeatherMap');
+const { createOfflineGeocoder, createOfflineWeatherProvider } = require('./offline');
+
+const GEOCODERS = {
+  nominatim: () => createNominatimGeocoder(),
+  offline: () => createOfflineGeocoder(),
+  none: () => null
+};
+const WEATHER_PROVIDERS = {
+  openweathermap: env => createOpenWeatherMapProvider({ apiKey: env.OPENWEATHER_API_KEY }),
+  offline: () => createOfflineWeatherProvider(),
+  none: () => null
+};
+
+function pickProvider(registry, configured, fallback, env) {
+  const name = configured || fallback;
+  if (!Object.hasOwn(registry, name)) {
+    throw new Error(`Unknown enrichment provider "${name}" (expected ${Object.keys(registry).join(', ')})`);
+  }
+  return registry[name](env);
+}
+
+function providersFromEnv(env = process.env) {
+  const isTest = env.NODE_ENV === 'test';
+  return {
+    geocoder: pickProvider(GEOCODERS, env.GEOCODER_PROVIDER, isTest ? 'offline' : 'nominatim', env),
+    weather: pickProvider(
+      WEATHER_PROVIDERS,
+      env.WEATHER_PROVIDER,
+      isTest ? 'offline' : (env.OPENWEATHER_API_KEY ? 'openweathermap' : 'none'),
+      env
+    )
+  };
+}
+
+function createEnrichmentService({
+  models,
+  geocoder,
+  weather,
+  // Addresses barely change; weather is only meaningful for a short while
+  geocodeTtlMs = parseInt(process.env.GEOCODE_CACHE_TTL_MS, 10) || 7 * 24 * 3600 * 1000,
+  weatherTtlMs = parseInt(process.env.WEATHER_CACHE_TTL_MS, 10) || 30 * 60 * 1000,
+  sweepIntervalMs = parseInt(process.env.ENRICHMENT_SWEEP_MS, 10) || 5 * 60 * 1000,
+  log = console
+}) {
+  const lookups = {
+    geocode: { provider: geocoder, precision: 3, cache: new TtlCache({ ttlMs: geocodeTtlMs }), inFlight: new Map() },
+    weather: { provider: weather, precision: 1, cache: new TtlCache({ ttlMs: weatherTtlMs }), inFlight: new Map() }
+  };
+  const stats = { enriched: 0, failures: {} };
+  const queue = [];
+  const queued = new Set();
+  let draining = false;
+  let timer = null;
+
+  // Cached, de-duplicated provider call. Resolves to null on failure after
+  // logging it, so one broken provider doesn't block the other.
+  async function lookup(kind, { lat, lon }) {
+    const { provider, precision, cache, inFlight } = lookups[kind];
+    if (!provider) return null;
+    const key = gridKey(lat, lon, precision);
+    const hit = cache.get(key);
+    if (hit !== undefined) return hit;
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const pending = provider.lookup({ lat, lon })
+      .then(value => {
+        cache.set(key, value || null);
+        return value || null;
+      })
+      .catch(err => {
+        const failureKey = `${kind}:${provider.name}`;
+        stats.failures[failureKey] = (stats.failures[failureKey] || 0) + 1;
+        log.error(`Enrichment ${kind} lookup via ${provider.name} failed:`, err.message);
+        return null;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  // Look up whatever the scan is still missing and persist it
+  async function enrichScan(scan) {
+    if (scan.lat == null || scan.lon == null) return null;
+    const coords = { lat: parseFloat(scan.lat), lon: parseFloat(scan.lon) };
+    const fields = {};
+    if (!scan.city || !scan.suburb || !scan.region) {
+      Object.assign(fields, await lookup('geocode', coords));
+    }
+    if (!scan.weather && Date.now() - new Date(scan.scanned_at) <= weatherTtlMs) {
+      fields.weather = await lookup('weather', coords);
+    }
+    if (!Object.values(fields).some(v => v != null)) return null;
+    const updated = await models.backfillScanEnrichment(scan.id, fields);
+    stats.enriched += 1;
+    return updated;
+  }
+
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      while (queue.length > 0) {
+        const scan = queue.shift();
+        try {
+          await enrichScan(scan);
+        } catch (err) {
+          log.error(`Enrichment backfill for scan ${scan.id} failed:`, err.message);
+        } finally {
+          queued.delete(scan.id);
+        }
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  // Schedule a scan row for enrichment without waiting for it
+  function enqueue(scan) {
+    if (!scan || queued.has(scan.id)) return;
+    if (!lookups.geocode.provider && !lookups.weather.provider) return;
+    queued.add(scan.id);
+    queue.push(scan);
+    setImmediate(drain);
+  }
+
+  // Pick up scans whose enrichment failed or never ran (e.g. after a restart)
+  async function sweep() {
+    if (!lookups.geocode.provider && !lookups.weather.provider) return;
+    const scans = await models.getScansMissingEnrichment({
+      needsGeocode: Boolean(lookups.geocode.provider),
+      needsWeather: Boolean(lookups.weather.provider),
+      weatherMaxAgeSeconds: weatherTtlMs / 1000
+    });
+    scans.forEach(enqueue);
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      sweep().catch(err => log.error('Enrichment sweep failed:', err.message));
+    }, sweepIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    enqueue,
+    enrichScan,
+    sweep,
+    start,
+    stop,
+    stats,
+    providers: {
+      geocoder: geocoder ? geocoder.name : 'none',
+      weather: weather ? weather.name : 'none'
+    }
+  };
+}
+
+module.exports = { createEnrichmentService, providersFromEnv };
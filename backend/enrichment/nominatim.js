@@ -0,0 +1,26 @@
+// enrichment/nominatim.js
+// Reverse geocoding via OpenStreetMap Nominatim
+const { fetchJson } = require('./fetch');
+
+function createNominatimGeocoder({
+  baseUrl = 'https://nominatim.openstreetmap.org',
+  userAgent = 'GlassCart/1.0 (contact@glasscart.com)'
+} = {}) {
+  return {
+    name: 'nominatim',
+    async lookup({ lat, lon }) {
+      const data = await fetchJson(
+        `${baseUrl}/reverse?format=json&lat=${lat}&lon=${lon}&zoom=18&addressdetails=1`,
+        { headers: { 'User-Agent': userAgent } }
+      );
+      if (!data.address) return null;
+      return {
+        city: data.address.city || data.address.town || data.address.village || null,
+        suburb: data.address.suburb || data.address.neighbourhood || null,
+        region: data.address.state || data.address.region || null
+      };
+    }
+  };
+}
+
+module.exports = { createNominatimGeocoder };
@@ -0,0 +1,46 @@
+// enrichment/offline.js
+// Network-free stand-ins for development and tests. The geocoder snaps to the
+// nearest of a few known cities; the weather provider returns fixed values.
+
+const CITIES = [
+  { city: 'Auckland', suburb: 'CBD', region: 'Auckland', lat: -36.8485, lon: 174.7633 },
+  { city: 'Wellington', suburb: 'Te Aro', region: 'Wellington', lat: -41.2865, lon: 174.7762 },
+  { city: 'Christchurch', suburb: 'Riccarton', region: 'Canterbury', lat: -43.5321, lon: 172.6362 },
+  { city: 'Dunedin', suburb: 'City Centre', region: 'Otago', lat: -45.8742, lon: 170.5036 }
+];
+
+function createOfflineGeocoder() {
+  return {
+    name: 'offline',
+    async lookup({ lat, lon }) {
+      let nearest = CITIES[0];
+      let best = Infinity;
+      for (const c of CITIES) {
+        const d = (c.lat - lat) ** 2 + (c.lon - lon) ** 2;
+        if (d < best) {
+          best = d;
+          nearest = c;
+        }
+      }
+      return { city: nearest.city, suburb: nearest.suburb, region: nearest.region };
+    }
+  };
+}
+
+function createOfflineWeatherProvider() {
+  return {
+    name: 'offline',
+    async lookup() {
+      return {
+        temp: 15,
+        feels_like: 14,
+        humidity: 70,
+        wind_speed: 3,
+        condition: 'Clear',
+        description: 'clear sky'
+      };
+    }
+  };
+}
+
+module.exports = { createOfflineGeocoder, createOfflineWeatherProvider };
@@ -0,0 +1,28 @@
+// enrichment/openWeatherMap.js
+// Current conditions via the OpenWeatherMap API
+const { fetchJson } = require('./fetch');
+
+function createOpenWeatherMapProvider({
+  apiKey,
+  baseUrl = 'https://api.openweathermap.org/data/2.5'
+}) {
+  if (!apiKey) throw new Error('OPENWEATHER_API_KEY is required for the openweathermap provider');
+  return {
+    name: 'openweathermap',
+    async lookup({ lat, lon }) {
+      const data = await fetchJson(
+        `${baseUrl}/weather?lat=${lat}&lon=${lon}&appid=${encodeURIComponent(apiKey)}&units=metric`
+      );
+      return {
+        temp: data.main?.temp,
+        feels_like: data.main?.feels_like,
+        humidity: data.main?.humidity,
+        wind_speed: data.wind?.speed,
+        condition: data.weather?.[0]?.main,
+        description: data.weather?.[0]?.description
+      };
+    }
+  };
+}
+
+module.exports = { createOpenWeatherMapProvider };
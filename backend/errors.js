@@ -0,0 +1,144 @@
+// errors.js
+// Error types routes and models throw, and the middleware that turns them
+// (and anything else that escapes a handler) into JSON responses. Every
+// error body has the same shape:
+//   { "error": "Product not found", "code": "not_found", "request_id": "..." }
+// plus `fields` for validation failures. The request id is also sent as
+// X-Request-Id and logged with server-side errors, so reports can be
+// matched to logs.
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+class HttpError extends Error {
+  constructor(status, message, code = STATUS_CODES[status] || 'error') {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class ValidationError extends HttpError {
+  // fields: [{ in, field, message }] describing each problem, when known
+  constructor(message = 'Invalid request', fields) {
+    super(400, message, 'validation_failed');
+    if (fields) this.fields = fields;
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden') {
+    super(403, message);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found') {
+    super(404, message);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = 'Conflict') {
+    super(409, message);
+  }
+}
+
+// `code` for error bodies that only have a status
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable'
+};
+
+// Postgres errors that are the caller's fault rather than ours
+// (https://www.postgresql.org/docs/current/errcodes-appendix.html)
+function fromPgError(err) {
+  switch (err.code) {
+    case '23505': // unique_violation
+      return new ConflictError('A record with these details already exists');
+    case '23503': // foreign_key_violation
+      return /still referenced/.test(err.detail || '')
+        ? new ConflictError('Record is still in use and cannot be removed')
+        : new ValidationError('Referenced record does not exist');
+    case '23502': // not_null_violation
+      return new ValidationError(err.column ? `${err.column} is required` : 'Missing required field');
+    case '23514': // check_violation
+      return new ValidationError('Value is out of the allowed range');
+    case '22P02': // invalid_text_representation, e.g. a malformed uuid
+    case '22007': // invalid_datetime_format
+    case '22008': // datetime_field_overflow
+    case '22003': // numeric_value_out_of_range
+      return new ValidationError('Malformed value');
+    default:
+      return null;
+  }
+}
+
+// Express-style errors (body-parser's are 4xx with `expose`) keep their status
+function fromExpressError(err) {
+  const status = err.status || err.statusCode;
+  if (!status || status < 400 || status >= 500) return null;
+  if (err.type === 'entity.parse.failed') return new ValidationError('Malformed JSON body');
+  return new HttpError(status, err.expose ? err.message : 'Bad request');
+}
+
+function errorBody(req, status, message, extra) {
+  return { error: message, code: STATUS_CODES[status] || 'error', ...extra, request_id: req.id };
+}
+
+// Tags each request with an id (the caller's X-Request-Id when it looks
+// sane) and fills `code` and `request_id` into error bodies that handlers
+// send directly as { error }
+function requestId(req, res, next) {
+  const given = req.get('x-request-id');
+  req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : uuidv4();
+  res.set('X-Request-Id', req.id);
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      const { error, ...extra } = body;
+      return json(errorBody(req, res.statusCode, error, extra));
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Registered after every route, for paths nothing matched
+function notFound(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+}
+
+// Registered last; Express recognises error handlers by their four arguments
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const known = err instanceof HttpError ? err : fromPgError(err) || fromExpressError(err);
+  if (!known) {
+    (req.log || logger).error('request failed', { method: req.method, path: req.path }, err);
+    return res.status(500).json(errorBody(req, 500, 'Internal server error'));
+  }
+  res.status(known.status).json(errorBody(req, known.status, known.message, {
+    code: known.code,
+    ...(known.fields && { fields: known.fields })
+  }));
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  fromPgError,
+  requestId,
+  notFound,
+  errorHandler
+};
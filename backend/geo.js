@@ -0,0 +1,110 @@
+// geo.js
+// Great-circle distance, map binning (plain grid cells and geohashes) and
+// GeoJSON helpers for scan coordinates
+
+const EARTH_RADIUS_M = 6371008.8;
+const METRES_PER_DEGREE_LAT = 111320;
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+const toRadians = deg => (Number(deg) * Math.PI) / 180;
+
+// Haversine distance in metres between two { lat, lon } points
+function distanceMeters(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Box that contains every point within radiusM of `center`, for cheap
+// prefiltering before the exact distance check. Boxes that would cross the
+// antimeridian (or reach a pole) span every longitude instead.
+function boundingBox(center, radiusM) {
+  const dLat = radiusM / METRES_PER_DEGREE_LAT;
+  const south = Math.max(center.lat - dLat, -90);
+  const north = Math.min(center.lat + dLat, 90);
+  const dLon = radiusM / (METRES_PER_DEGREE_LAT * Math.cos(toRadians(Math.max(Math.abs(south), Math.abs(north)))));
+  const west = center.lon - dLon;
+  const east = center.lon + dLon;
+  if (!Number.isFinite(dLon) || west < -180 || east > 180) return { south, north, west: -180, east: 180 };
+  return { south, north, west, east };
+}
+
+// Cell size of a square grid with 16×16 cells per web-map tile at `zoom`
+function gridCellSize(zoom) {
+  const deg = 360 / 2 ** (zoom + 4);
+  return { latDeg: deg, lonDeg: deg };
+}
+
+// Geohash cells are a grid too: 5 bits per character, alternating between
+// longitude and latitude, starting with longitude
+function geohashCellSize(precision) {
+  const bits = 5 * precision;
+  return { latDeg: 180 / 2 ** Math.floor(bits / 2), lonDeg: 360 / 2 ** Math.ceil(bits / 2) };
+}
+
+function encodeGeohash(lat, lon, precision) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let bit = 0;
+  let index = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    const [range, value] = evenBit ? [lonRange, lon] : [latRange, lat];
+    const mid = (range[0] + range[1]) / 2;
+    index *= 2;
+    if (value >= mid) {
+      index += 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    if (++bit === 5) {
+      hash += GEOHASH_ALPHABET[index];
+      bit = 0;
+      index = 0;
+    }
+  }
+  return hash;
+}
+
+// [west, south, east, north] of cell (x, y) in a grid anchored at -180°/-90°
+function cellBounds(x, y, { latDeg, lonDeg }) {
+  return [x * lonDeg - 180, y * latDeg - 90, (x + 1) * lonDeg - 180, (y + 1) * latDeg - 90];
+}
+
+function featureCollection(features) {
+  return { type: 'FeatureCollection', features };
+}
+
+function pointFeature({ lat, lon }, properties) {
+  return { type: 'Feature', geometry: { type: 'Point', coordinates: [lon, lat] }, properties };
+}
+
+function boundsFeature([west, south, east, north], properties) {
+  return {
+    type: 'Feature',
+    bbox: [west, south, east, north],
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+    },
+    properties
+  };
+}
+
+module.exports = {
+  EARTH_RADIUS_M,
+  distanceMeters,
+  boundingBox,
+  gridCellSize,
+  geohashCellSize,
+  encodeGeohash,
+  cellBounds,
+  featureCollection,
+  pointFeature,
+  boundsFeature
+};
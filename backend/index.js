@@ -2,24 +2,119 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const models = require('./models');
+const { parseDeviceType } = require('./userAgent');
+const { isOpenAt } = require('./openingHours');
+const { assessScan, IP_BURST_SECONDS } = require('./scanQuality');
+const { requireOwned, requireSelf, ownsResource } = require('./ownership');
+const { createEnrichmentService, providersFromEnv } = require('./enrichment');
+const { createMailer, transportFromEnv } = require('./mailer');
+const { createWebhookService } = require('./webhooks');
+const { destinationProblem } = require('./webhooks/destination');
+const { createRateLimiter, createLoginLockout, storeFromEnv } = require('./rateLimit');
+const { createValidator } = require('./validation');
+const { ValidationError, NotFoundError, requestId, notFound, errorHandler } = require('./errors');
+const { logger, logRequests } = require('./logger');
+const {
+  boundingBox,
+  gridCellSize,
+  geohashCellSize,
+  encodeGeohash,
+  cellBounds,
+  featureCollection,
+  pointFeature,
+  boundsFeature
+} = require('./geo');
+const {
+  scansRecorded,
+  scansDeduplicated,
+  observeRequests,
+  trackPool,
+  trackEnrichment,
+  metricsHandler
+} = require('./metrics');
 const pool = models.pool; // Import pool from models.js
 const QRCode = require('qrcode');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
-const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args)); // Fix for ESM
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const JWT_SECRET = process.env.JWT_SECRET || 'supersecret';
+const crypto = require('crypto');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  signActionToken,
+  verifyActionToken,
+  generateApiKey,
+  verifyCredentials,
+  requirePermission,
+  allowApiKey,
+  tenantId,
+  requireAuth,
+  requireSession,
+  requireRetailerAuth,
+  requireAdmin
+} = require('./auth');
 
 const app = express();
 const BASE_URL = process.env.BASE_URL || 'https://glasscart2.onrender.com';
 const FRONTEND_URL = process.env.FRONTEND_URL || BASE_URL;
+// ?src= tags on the /w/ short link, mapped to the stored scans.scan_source
+const SCAN_SOURCES = { qr: 'QR', shortlink: 'shortlink', embed: 'embed' };
+// Where short links of paused, archived, deleted or ended campaigns land by default
+const CAMPAIGN_FALLBACK_URL = process.env.CAMPAIGN_FALLBACK_URL || FRONTEND_URL;
+// Where short links land before a campaign's start_date by default
+const COMING_SOON_URL = process.env.COMING_SOON_URL || `${FRONTEND_URL}/coming-soon`;
+const UNVERIFIED_PUBLISH_ERROR = 'Verify your email address before publishing campaigns';
+// Key for the address and device hashes stored with scans; unkeyed, an
+// address hash could be reversed by hashing every IPv4 address
+if (process.env.NODE_ENV === 'production' && !process.env.SCAN_HASH_SECRET) {
+  throw new Error('SCAN_HASH_SECRET must be set in production');
+}
+const SCAN_HASH_SECRET = process.env.SCAN_HASH_SECRET || 'scan-hash-secret';
+// Repeat scans of a campaign from the same device within this window count once
+const SCAN_DEDUP_SECONDS = parseInt(process.env.SCAN_DEDUP_SECONDS, 10) || 30;
+// Time series span at most this many buckets, and 30 days when no range is given
+const MAX_TIMESERIES_BUCKETS = 2000;
+const BUCKET_MS = { hour: 3600e3, day: 86400e3, week: 7 * 86400e3, month: 30 * 86400e3 };
+const DEFAULT_TIMESERIES_DAYS = 30;
+// Geo aggregation returns at most this many cells, busiest first
+const MAX_GEO_CELLS = 5000;
 
-// Middleware
-app.use(cors());
-app.use(bodyParser.json());
+// Client addresses come from X-Forwarded-For only when behind a known proxy
+// (one hop on the hosted deployment); see Express's "trust proxy" setting
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : 'false')));
+
+// Geocoding/weather providers for scans (see enrichment/index.js for config)
+const enrichment = createEnrichmentService({ models, ...providersFromEnv(), log: logger.child({ component: 'enrichment' }) });
+enrichment.start();
+trackEnrichment(enrichment);
+
+// Pool usage and query latency for /metrics; slow queries are logged
+trackPool(pool, { log: logger.child({ component: 'db' }) });
+
+// Account mail (see mailer/index.js for config); links point at the frontend
+const mailer = createMailer({ transport: transportFromEnv(), appUrl: FRONTEND_URL });
+
+// Sends queued webhook deliveries in the background (see webhooks/index.js)
+const webhooks = createWebhookService({ models, log: logger.child({ component: 'webhooks' }) });
+webhooks.start();
+
+// Throttling for public endpoints and login lockout (see rateLimit/index.js)
+const rateLimitStore = storeFromEnv({ pool, log: logger.child({ component: 'rate-limit' }) });
+const limiter = createRateLimiter({ store: rateLimitStore });
+const loginLockout = createLoginLockout({ store: rateLimitStore });
+const limitLoginByIp = limiter.limit('LOGIN_IP', clientKey);
+const limitScans = [
+  limiter.limit('SCAN_IP', clientKey),
+  limiter.limit('SCAN_CAMPAIGN', req => (req.body && isUuid(req.body.campaign_id) ? req.body.campaign_id : null))
+];
+const limitRedirects = [
+  limiter.limit('REDIRECT_IP', clientKey),
+  limiter.limit('REDIRECT_CAMPAIGN', req => req.params.identifier)
+];
 
 // Swagger setup
 const swaggerSpec = swaggerJsdoc({
@@ -31,8 +126,20 @@ const swaggerSpec = swaggerJsdoc({
       description: 'Live API documentation for the QR-commerce platform'
     }
   },
-  apis: ['./index.js']
+  apis: [path.join(__dirname, 'index.js')]
 });
+
+// The docs double as the request schemas (see validation.js)
+const { validateRequest, checkResponses } = createValidator(swaggerSpec);
+
+// Middleware. Response checks come before requestId so they see error
+// bodies with their code and request id filled in.
+app.use(checkResponses);
+app.use(requestId);
+app.use(logRequests);
+app.use(observeRequests);
+app.use(cors());
+app.use(bodyParser.json());
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 /**
@@ -59,9 +166,11 @@ app.get('/', (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [url]
  *             properties:
  *               url:
  *                 type: string
+ *                 minLength: 1
  *                 example: "https://glasscart.com"
  *     responses:
  *       200:
@@ -73,15 +182,18 @@ app.get('/', (req, res) => {
  *               properties:
  *                 qrCode:
  *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       429:
+ *         description: Too many requests
  */
-app.post('/generate-qr', async (req, res) => {
+app.post('/generate-qr', limiter.limit('GENERATE_QR_IP', clientKey), validateRequest, async (req, res) => {
   const { url } = req.body;
-  if (!url) return res.status(400).json({ error: 'URL required' });
   try {
     const qrCode = await QRCode.toDataURL(url);
     res.json({ qrCode });
   } catch (err) {
-    console.error(err);
+    req.log.error('QR generation failed', err);
     res.status(500).json({ error: 'QR generation failed' });
   }
 });
@@ -103,6 +215,65 @@ app.post('/generate-qr', async (req, res) => {
  *     description: QR code and embed endpoints
  *   - name: Retailers
  *     description: Retailer management
+ *   - name: Auth
+ *     description: Login, token refresh and logout for every role
+ *   - name: Users
+ *     description: User administration (admin only)
+ *   - name: API Keys
+ *     description: Keys for server-to-server integrations
+ *   - name: Webhooks
+ *     description: Signed event notifications to retailer endpoints
+ *   - name: Stores
+ *     description: Retailer store locations and opening hours
+ */
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *     apiKey:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
+ *   schemas:
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Short-lived JWT access token, sent as a Bearer token
+ *         refresh_token:
+ *           type: string
+ *           description: Single-use token for POST /auth/refresh
+ *         expires_in:
+ *           type: string
+ *           description: Access token lifetime (e.g. 15m)
+ *     Error:
+ *       type: object
+ *       required: [error, code, request_id]
+ *       properties:
+ *         error: { type: string, description: Human-readable message }
+ *         code: { type: string, example: not_found, description: Stable machine-readable error code }
+ *         request_id: { type: string, description: Also sent as X-Request-Id; quote it when reporting problems }
+ *         fields:
+ *           type: array
+ *           description: Present on request validation failures, one entry per problem
+ *           items:
+ *             type: object
+ *             properties:
+ *               in: { type: string, enum: [path, query, body] }
+ *               field: { type: string, example: price }
+ *               message: { type: string, example: must be number }
+ *   responses:
+ *     InvalidRequest:
+ *       description: The request does not match this schema; `fields` lists each problem
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
  */
 
 /**
@@ -110,7 +281,8 @@ app.post('/generate-qr', async (req, res) => {
  * /products:
  *   get:
  *     tags: [Products]
- *     summary: List all products
+ *     summary: List the products you own or distribute
+ *     description: Admins see every product.
  *     responses:
  *       200:
  *         description: Array of products
@@ -125,22 +297,32 @@ app.post('/generate-qr', async (req, res) => {
  *             type: object
  *             required: [name, price]
  *             properties:
- *               name: { type: string }
- *               price: { type: number }
+ *               name: { type: string, minLength: 1 }
+ *               price: { type: number, minimum: 0 }
+ *               stock_quantity: { type: integer, minimum: 0, default: 0 }
  *     responses:
  *       201:
  *         description: Product created
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
  */
-app.get('/products', requireRetailerAuth, async (req, res) => {
-  // Only show products for this retailer (assuming distributor_id is retailer's id)
-  const products = await models.pool.query('SELECT * FROM products WHERE distributor_id=$1 ORDER BY created_at DESC', [req.user.id]);
-  res.json(products.rows);
+app.get('/products', requireAuth, requirePermission('products:read'), async (req, res) => {
+  const products = await models.getProducts(tenantId(req.user));
+  res.json(products);
 });
 
-app.post('/products', requireRetailerAuth, async (req, res) => {
+app.post('/products', requireRetailerAuth, validateRequest, async (req, res) => {
   const id = uuidv4();
-  const { name, price } = req.body;
-  const product = await models.createProduct({ id, name, price });
+  const { name, price, stock_quantity } = req.body;
+  // The creating retailer owns the product and distributes it
+  const product = await models.createProduct({
+    id,
+    name,
+    price,
+    stock_quantity,
+    retailer_id: req.user.id,
+    distributor_id: req.user.id
+  });
   res.status(201).json(product);
 });
 
@@ -167,15 +349,19 @@ app.post('/products', requireRetailerAuth, async (req, res) => {
  *         required: true
  *         schema: { type: string }
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [name, price]
  *             properties:
- *               name: { type: string }
- *               price: { type: number }
+ *               name: { type: string, minLength: 1 }
+ *               price: { type: number, minimum: 0 }
  *     responses:
  *       200: { description: Product updated }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
  *       404: { description: Not found }
  *   delete:
  *     tags: [Products]
@@ -194,15 +380,15 @@ app.get('/products/:id', async (req, res) => {
   else res.status(404).json({ error: 'Not found' });
 });
 
-app.put('/products/:id', requireRetailerAuth, async (req, res) => {
+app.put('/products/:id', requireRetailerAuth, requireOwned('product'), validateRequest, async (req, res) => {
   const { name, price } = req.body;
-  const updated = await models.updateProduct(req.params.id, { name, price });
+  const updated = await models.updateProduct(req.product.id, { name, price });
   if (updated) res.json(updated);
   else res.status(404).json({ error: 'Not found' });
 });
 
-app.delete('/products/:id', requireRetailerAuth, async (req, res) => {
-  await models.deleteProduct(req.params.id);
+app.delete('/products/:id', requireRetailerAuth, requireOwned('product'), async (req, res) => {
+  await models.deleteProduct(req.product.id);
   res.status(204).end();
 });
 
@@ -230,31 +416,69 @@ app.delete('/products/:id', requireRetailerAuth, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [retailer_id, product_id, campaign_name, qr_code_identifier]
+ *             required: [product_id, campaign_name, qr_code_identifier, commission_percent]
  *             properties:
- *               retailer_id: { type: string }
  *               product_id: { type: string }
- *               campaign_name: { type: string }
+ *               retailer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Admins only; the retailer the campaign is created for
+ *               campaign_name: { type: string, minLength: 1 }
  *               start_date: { type: string, format: date-time }
  *               end_date: { type: string, format: date-time }
- *               qr_code_identifier: { type: string }
- *               commission_percent: { type: number }
+ *               qr_code_identifier: { type: string, minLength: 1 }
+ *               commission_percent: { type: integer, minimum: 0, maximum: 100 }
  *               location: { type: string }
+ *               advertiser_id:
+ *                 type: string
+ *                 description: Advertiser credited with the commission on orders from this campaign
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active, paused, archived]
+ *                 default: active
+ *                 description: Retailers must verify their email before creating active campaigns
+ *               fallback_url:
+ *                 type: string
+ *                 format: uri
+ *                 pattern: '^https?://'
+ *                 description: Where the short link sends shoppers while the campaign is not live
+ *               coming_soon_url:
+ *                 type: string
+ *                 format: uri
+ *                 pattern: '^https?://'
+ *                 description: Where the short link sends shoppers before start_date
+ *               location_lat: { type: number, minimum: -90, maximum: 90 }
+ *               location_lon: { type: number, minimum: -180, maximum: 180 }
+ *               location_radius_km:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Scans reporting coordinates farther than this from location_lat/lon are flagged
  *     responses:
  *       201: { description: Campaign created }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       403: { description: Email not verified (active campaigns only) }
  */
-app.get('/campaigns', requireRetailerAuth, async (req, res) => {
-  // Only show campaigns for this retailer
-  const campaigns = await models.pool.query('SELECT * FROM campaigns WHERE retailer_id=$1 ORDER BY created_at DESC', [req.user.id]);
+app.get('/campaigns', requireAuth, requirePermission('campaigns:read'), async (req, res) => {
+  // Only show campaigns for this retailer; admins see all
+  const campaigns = await models.pool.query(
+    'SELECT * FROM campaigns WHERE ($1::uuid IS NULL OR retailer_id=$1) AND deleted_at IS NULL ORDER BY created_at DESC',
+    [tenantId(req.user)]
+  );
   res.json(campaigns.rows);
 });
-app.post('/campaigns', requireRetailerAuth, async (req, res) => {
-  try {
-    const campaign = await models.createCampaign(req.body);
-    res.status(201).json(campaign);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
+app.post('/campaigns', requireRetailerAuth, validateRequest, async (req, res) => {
+  if (req.body.product_id && !(await ownsResource('product', req.body.product_id, req.user))) {
+    return res.status(400).json({ error: 'Unknown product' });
   }
+  if ((req.body.status || 'active') === 'active' && await publishingBlocked(req.user)) {
+    return res.status(403).json({ error: UNVERIFIED_PUBLISH_ERROR });
+  }
+  // The campaign always belongs to the caller, whatever the body says;
+  // admins create campaigns on behalf of the retailer they name
+  const retailer_id = tenantId(req.user) || req.body.retailer_id;
+  const campaign = await models.createCampaign({ ...req.body, retailer_id });
+  res.status(201).json(campaign);
 });
 
 /**
@@ -271,60 +495,409 @@ app.post('/campaigns', requireRetailerAuth, async (req, res) => {
  *     responses:
  *       200: { description: Campaign found }
  *       404: { description: Not found }
+ *   put:
+ *     tags: [Campaigns]
+ *     summary: Update a campaign
+ *     description: Only the supplied fields change. The QR code identifier cannot be edited.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               campaign_name: { type: string, minLength: 1 }
+ *               product_id: { type: string }
+ *               start_date: { type: string, format: date-time, nullable: true }
+ *               end_date: { type: string, format: date-time, nullable: true }
+ *               commission_percent: { type: integer, minimum: 0, maximum: 100 }
+ *               location: { type: string, nullable: true }
+ *               advertiser_id: { type: string, nullable: true }
+ *               fallback_url: { type: string, format: uri, pattern: '^https?://', nullable: true }
+ *               coming_soon_url: { type: string, format: uri, pattern: '^https?://', nullable: true }
+ *               location_lat: { type: number, minimum: -90, maximum: 90, nullable: true }
+ *               location_lon: { type: number, minimum: -180, maximum: 180, nullable: true }
+ *               location_radius_km: { type: number, minimum: 0, nullable: true }
+ *     responses:
+ *       200: { description: Campaign updated }
+ *       400: { description: No editable fields, or unknown product/advertiser }
+ *       404: { description: Not found }
+ *   delete:
+ *     tags: [Campaigns]
+ *     summary: Delete a campaign
+ *     description: >
+ *       Campaigns with recorded scans or orders are archived and hidden rather than
+ *       removed, so their history is preserved.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204: { description: No content }
+ *       404: { description: Not found }
+ */
+app.get('/campaigns/:id', requireAuth, requirePermission('campaigns:read'), requireOwned('campaign'), async (req, res) => {
+  res.json(req.campaign);
+});
+
+app.put('/campaigns/:id', requireRetailerAuth, validateRequest, async (req, res) => {
+  if (req.body.product_id && !(await ownsResource('product', req.body.product_id, req.user))) {
+    return res.status(400).json({ error: 'Unknown product' });
+  }
+  const updated = await models.updateCampaign(req.params.id, tenantId(req.user), req.body);
+  if (updated) res.json(updated);
+  else res.status(404).json({ error: 'Not found' });
+});
+
+app.delete('/campaigns/:id', requireRetailerAuth, async (req, res) => {
+  const result = await models.deleteCampaign(req.params.id, tenantId(req.user));
+  if (!result) return res.status(404).json({ error: 'Not found' });
+  res.status(204).end();
+});
+
+/**
+ * @swagger
+ * /campaigns/{id}/status:
+ *   patch:
+ *     tags: [Campaigns]
+ *     summary: Publish, pause, resume or archive a campaign
+ *     description: >
+ *       Allowed transitions: draft → active | archived; active → paused | archived;
+ *       paused → active | archived. Short links of campaigns that are not active
+ *       redirect to the campaign's fallback_url. Retailers must verify their
+ *       email address before making a campaign active.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active, paused, archived]
+ *     responses:
+ *       200: { description: Campaign updated }
+ *       400: { description: Unknown status }
+ *       403: { description: Email not verified }
+ *       404: { description: Not found }
+ *       409: { description: Transition not allowed from the current status }
  */
-app.get('/campaigns/:id', async (req, res) => {
-  const campaign = await models.getCampaignById(req.params.id);
+app.patch('/campaigns/:id/status', requireRetailerAuth, validateRequest, async (req, res) => {
+  if (req.body.status === 'active' && await publishingBlocked(req.user)) {
+    return res.status(403).json({ error: UNVERIFIED_PUBLISH_ERROR });
+  }
+  const campaign = await models.setCampaignStatus(req.params.id, tenantId(req.user), req.body.status);
   if (campaign) res.json(campaign);
   else res.status(404).json({ error: 'Not found' });
 });
 
+/**
+ * @swagger
+ * /campaigns/{id}/placements:
+ *   get:
+ *     tags: [Campaigns]
+ *     summary: List the posters, flyers and screens a campaign is printed on
+ *     description: Each placement comes with its short link and QR code URLs.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Array of placements }
+ *       404: { description: Not found }
+ *   post:
+ *     tags: [Campaigns]
+ *     summary: Add a placement to a campaign
+ *     description: >
+ *       A placement is one physical print of the campaign. Its short link
+ *       (/w/<campaign identifier>/<placement identifier>) and QR code attribute
+ *       scans to it. Scans with coordinates also record the nearest placement that
+ *       has coordinates and the distance to it (nearest_placement_id,
+ *       distance_to_placement_m).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, format]
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 pattern: '^[A-Za-z0-9_-]{1,64}$'
+ *                 description: Unique within the campaign and fixed once created; generated when left out
+ *               name: { type: string, minLength: 1, example: Queen St bus shelter }
+ *               format: { type: string, enum: [poster, flyer, screen] }
+ *               lat: { type: number, minimum: -90, maximum: 90 }
+ *               lon: { type: number, minimum: -180, maximum: 180 }
+ *               printed_on: { type: string, format: date }
+ *     responses:
+ *       201: { description: Placement created }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: Not found }
+ */
+app.get('/campaigns/:id/placements', requireAuth, requirePermission('campaigns:read'), requireOwned('campaign'), async (req, res) => {
+  const placements = await models.getPlacementsByCampaign(req.campaign.id);
+  res.json(placements.map(placement => withPlacementLinks(req.campaign, placement)));
+});
+
+app.post('/campaigns/:id/placements', requireAuth, requirePermission('campaigns:manage'), requireOwned('campaign'), validateRequest, async (req, res) => {
+  const { identifier, name, format, lat, lon, printed_on } = req.body;
+  const placement = await models.createPlacement({
+    campaign_id: req.campaign.id,
+    identifier: identifier || crypto.randomBytes(6).toString('base64url'),
+    name,
+    format,
+    lat,
+    lon,
+    printed_on
+  });
+  res.status(201).json(withPlacementLinks(req.campaign, placement));
+});
+
+/**
+ * @swagger
+ * /campaigns/{id}/placements/performance:
+ *   get:
+ *     tags: [Campaigns]
+ *     summary: Which placements perform
+ *     description: >
+ *       Scans, unique scanners, orders, conversion rate and revenue per placement,
+ *       busiest first, over all time or a date range. `unattributed` totals the scans
+ *       that came through the campaign's own link rather than a placement's.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Start of the range, inclusive
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: End of the range, exclusive
+ *       - in: query
+ *         name: include_flagged
+ *         schema: { type: boolean, default: false }
+ *         description: Also count scans flagged as suspicious or outside the campaign window
+ *     responses:
+ *       200:
+ *         description: Figures per placement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 placements:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/PlacementPerformance' }
+ *                 unattributed: { $ref: '#/components/schemas/PlacementPerformance' }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: Not found }
+ * components:
+ *   schemas:
+ *     PlacementPerformance:
+ *       type: object
+ *       properties:
+ *         placement_id: { type: string, nullable: true }
+ *         identifier: { type: string, nullable: true }
+ *         name: { type: string, nullable: true }
+ *         format: { type: string, nullable: true }
+ *         scans: { type: integer }
+ *         unique_scanners: { type: integer }
+ *         orders: { type: integer, description: Attributed orders, not counting cancelled or refunded ones }
+ *         conversion_rate: { type: number, nullable: true, description: orders / unique_scanners }
+ *         revenue: { type: number }
+ */
+app.get('/campaigns/:id/placements/performance', requireAuth, requirePermission('analytics:read'), requireOwned('campaign'), validateRequest, async (req, res) => {
+  const from = dateParam(req.query.from);
+  const to = dateParam(req.query.to);
+  if (from && to && from >= to) throw new ValidationError('from must be before to');
+  const rows = await models.getPlacementPerformance(req.campaign.id, {
+    from,
+    to,
+    includeFlagged: req.query.include_flagged === 'true'
+  });
+  const figures = rows.map(row => ({
+    ...row,
+    conversion_rate: row.unique_scanners ? Math.round(row.orders / row.unique_scanners * 10000) / 10000 : null
+  }));
+  res.json({
+    placements: figures.filter(row => row.placement_id),
+    unattributed: figures.find(row => !row.placement_id)
+  });
+});
+
+/**
+ * @swagger
+ * /campaigns/{id}/placements/{placementId}:
+ *   put:
+ *     tags: [Campaigns]
+ *     summary: Update a placement
+ *     description: Only the supplied fields change. The identifier cannot be edited.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: placementId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string, minLength: 1 }
+ *               format: { type: string, enum: [poster, flyer, screen] }
+ *               lat: { type: number, minimum: -90, maximum: 90, nullable: true }
+ *               lon: { type: number, minimum: -180, maximum: 180, nullable: true }
+ *               printed_on: { type: string, format: date, nullable: true }
+ *     responses:
+ *       200: { description: Placement updated }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: Not found }
+ *   delete:
+ *     tags: [Campaigns]
+ *     summary: Remove a placement
+ *     description: >
+ *       Only placements no scan came through can be removed. Its short link then
+ *       counts scans for the campaign alone.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: placementId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       204: { description: No content }
+ *       404: { description: Not found }
+ *       409: { description: Scans were recorded through this placement }
+ */
+app.put('/campaigns/:id/placements/:placementId', requireAuth, requirePermission('campaigns:manage'), requireOwned('campaign'), validateRequest, async (req, res) => {
+  const updated = await models.updatePlacement(req.campaign.id, req.params.placementId, req.body);
+  if (!updated) throw new NotFoundError();
+  res.json(withPlacementLinks(req.campaign, updated));
+});
+
+app.delete('/campaigns/:id/placements/:placementId', requireAuth, requirePermission('campaigns:manage'), requireOwned('campaign'), validateRequest, async (req, res) => {
+  if (!(await models.deletePlacement(req.campaign.id, req.params.placementId))) throw new NotFoundError();
+  res.status(204).end();
+});
+
 /**
  * @swagger
  * /orders:
  *   get:
  *     tags: [Orders]
- *     summary: List orders
+ *     summary: List orders visible to the caller
+ *     description: >
+ *       Customers see their own orders, distributors see orders for their products,
+ *       retailers see orders placed with them. Admins see everything and may filter
+ *       by customer_id or distributor_id.
  *     parameters:
  *       - in: query
  *         name: customer_id
- *         schema: { type: string }
+ *         schema: { type: string, format: uuid }
  *       - in: query
  *         name: distributor_id
- *         schema: { type: string }
+ *         schema: { type: string, format: uuid }
  *     responses:
  *       200: { description: Array of orders }
+ *       401: { description: Missing or invalid token }
  *   post:
  *     tags: [Orders]
  *     summary: Create a new order
+ *     description: >
+ *       The total is priced server-side from the product's price and quantity, and
+ *       stock is reserved atomically. Commission is computed from the campaign's
+ *       commission_percent, and the advertiser_commission and distributor_revenue
+ *       payouts are created in the same transaction. Integrations may call this
+ *       with an API key that has the orders-write scope; the product must then
+ *       belong to the key's owner.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [customer_id, product_id, total_amount, shipping_address]
+ *             required: [customer_id, product_id, shipping_address]
  *             properties:
- *               customer_id: { type: string }
- *               product_id: { type: string }
- *               campaign_id: { type: string }
- *               quantity: { type: number }
- *               total_amount: { type: number }
- *               commission_amount: { type: number }
- *               shipping_address: { type: string }
+ *               customer_id: { type: string, format: uuid }
+ *               product_id: { type: string, format: uuid }
+ *               campaign_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Must be an active campaign for this product
+ *               quantity: { type: integer, minimum: 1, default: 1 }
+ *               total_amount:
+ *                 type: number
+ *                 description: Optional expected total; the order is rejected if it differs from the server price
+ *               shipping_address: { type: string, minLength: 1 }
+ *               scan_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: >
+ *                   Attribution token from the /w/ redirect; links the order to the originating scan.
+ *                   Without a campaign_id the scan's campaign is used when it is active and for this product.
  *     responses:
- *       201: { description: Order created }
+ *       201: { description: Order created, including its generated payouts }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: Unknown product or campaign }
+ *       409: { description: Out of stock or price mismatch }
  */
-app.get('/orders', async (req, res) => {
-  const { customer_id, distributor_id } = req.query;
+app.get('/orders', requireAuth, requirePermission('orders:read'), validateRequest, async (req, res) => {
+  const { role, id } = req.user;
   let list;
-  if (customer_id) list = await models.getOrdersByCustomer(customer_id);
-  else if (distributor_id) list = await models.getOrdersByDistributor(distributor_id);
+  if (role === 'customer') list = await models.getOrdersByCustomer(id);
+  else if (role === 'distributor') list = await models.getOrdersByDistributor(id);
+  else if (role === 'retailer') list = await models.getOrdersByRetailer(id);
+  else if (req.query.customer_id) list = await models.getOrdersByCustomer(req.query.customer_id);
+  else if (req.query.distributor_id) list = await models.getOrdersByDistributor(req.query.distributor_id);
   else list = await models.getAllOrders();
   res.json(list);
 });
 
-app.post('/orders', async (req, res) => {
-  const order = await models.createOrder(req.body);
+app.post('/orders', allowApiKey('orders:write'), validateRequest, async (req, res) => {
+  const { product_id } = req.body;
+  // Integrations may only place orders for their own retailer's products
+  if (req.user && !(await ownsResource('product', product_id, req.user))) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  const order = await models.createOrder(req.body, { actor_id: req.user ? req.user.id : null });
   res.status(201).json(order);
 });
 
@@ -343,161 +916,366 @@ app.post('/orders', async (req, res) => {
  *       200: { description: Order found }
  *       404: { description: Not found }
  */
-app.get('/orders/:id', async (req, res) => {
-  const order = await models.getOrderById(req.params.id);
-  if (order) res.json(order);
+app.get('/orders/:id', requireAuth, requirePermission('orders:read'), async (req, res) => {
+  const order = isUuid(req.params.id) ? await models.getOrderById(req.params.id) : null;
+  if (order && await canViewOrder(req.user, order)) res.json(order);
   else res.status(404).json({ error: 'Not found' });
 });
 
 /**
  * @swagger
- * /payouts:
- *   post:
- *     tags: [Payouts]
- *     summary: Create a payout record
+ * /orders/{id}/status:
+ *   patch:
+ *     tags: [Orders]
+ *     summary: Change an order's status
+ *     description: >
+ *       Allowed transitions: pending → paid | cancelled; paid → fulfilled | cancelled | refunded;
+ *       fulfilled → shipped | refunded; shipped → refunded. Cancelling or refunding restores
+ *       stock and reverses the order's payouts: pending ones are voided and paid ones are
+ *       offset with a negative entry (both returned as reversed_payouts).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [status]
  *             properties:
- *               recipient_id: { type: string }
- *               order_id: { type: string }
- *               amount: { type: number }
- *               type: { type: string }
+ *               status:
+ *                 type: string
+ *                 enum: [pending, paid, fulfilled, shipped, cancelled, refunded]
+ *               note: { type: string }
  *     responses:
- *       201: { description: Payout created }
+ *       200: { description: Order updated }
+ *       400: { description: Unknown status }
+ *       404: { description: Not found }
+ *       409: { description: Transition not allowed from the current status }
  */
-app.post('/payouts', async (req, res) => {
-  const payout = await models.createPayout(req.body);
-  res.status(201).json(payout);
+app.patch('/orders/:id/status', requireAuth, requirePermission('orders:manage'), validateRequest, async (req, res) => {
+  const { status, note } = req.body;
+  const order = await models.updateOrderStatus(req.params.id, {
+    status,
+    note,
+    actor_id: req.user.id,
+    retailer_id: tenantId(req.user)
+  });
+  res.json(order);
 });
 
 /**
  * @swagger
- * /analytics:
+ * /orders/{id}/history:
  *   get:
- *     tags: [Analytics]
- *     summary: Get analytics logs
- *     responses:
- *       200: { description: Array of analytics }
- *   post:
- *     tags: [Analytics]
- *     summary: Log analytics data
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               adLocation: { type: string }
- *               format: { type: string }
- *               clicks: { type: number }
- *               conversions: { type: number }
+ *     tags: [Orders]
+ *     summary: Get an order's status history
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
  *     responses:
- *       201: { description: Analytics logged }
+ *       200: { description: Status transitions, oldest first }
+ *       404: { description: Not found }
  */
-app.get('/analytics', async (req, res) => {
-  const logs = await models.getAnalyticsLogs();
-  res.json(logs);
-});
-app.post('/analytics', async (req, res) => {
-  const log = await models.createAnalyticsLog(req.body);
-  res.status(201).json(log);
+app.get('/orders/:id/history', requireAuth, requirePermission('orders:read'), async (req, res) => {
+  const order = isUuid(req.params.id) ? await models.getOrderById(req.params.id) : null;
+  if (!order || !(await canViewOrder(req.user, order))) return res.status(404).json({ error: 'Not found' });
+  const history = await models.getOrderStatusHistory(order.id);
+  res.json(history);
 });
 
 /**
  * @swagger
- * /analytics/scan:
+ * /payouts:
  *   post:
- *     tags: [Analytics]
- *     summary: Record a QR scan event with geolocation and context
+ *     tags: [Payouts]
+ *     summary: Create a payout record manually (admin only)
+ *     description: Order payouts are generated automatically; use this for adjustments.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [campaign_id, scanned_at, coords]
+ *             required: [recipient_id, amount, type]
  *             properties:
- *               campaign_id: { type: string }
- *               scanned_at: { type: string, format: date-time }
- *               coords:
- *                 type: object
+ *               recipient_id: { type: string, format: uuid }
+ *               order_id: { type: string, format: uuid, nullable: true }
+ *               amount: { type: number }
+ *               type: { type: string, enum: [advertiser_commission, distributor_revenue] }
+ *     responses:
+ *       201: { description: Payout created }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ */
+app.post('/payouts', requireAdmin, validateRequest, async (req, res) => {
+  const payout = await models.createPayout(req.body);
+  res.status(201).json(payout);
+});
+
+/**
+ * @swagger
+ * /payouts/ledger/{recipientId}:
+ *   get:
+ *     tags: [Payouts]
+ *     summary: Get a recipient's payout ledger
+ *     parameters:
+ *       - in: path
+ *         name: recipientId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: >
+ *           Balance, pending and paid totals with individual payouts. Void payouts
+ *           (pending when their order was cancelled or refunded) count toward none.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recipient_id: { type: string }
+ *                 earned: { type: number }
+ *                 pending: { type: number }
+ *                 paid: { type: number }
+ *                 balance: { type: number }
+ *                 entries: { type: array, items: { type: object } }
+ *       403: { description: Not your ledger }
+ */
+app.get('/payouts/ledger/:recipientId', requireAuth, requirePermission('payouts:read'), async (req, res) => {
+  if (req.params.recipientId !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'You can only view your own ledger' });
+  }
+  const ledger = await models.getPayoutLedger(req.params.recipientId);
+  res.json(ledger);
+});
+
+/**
+ * @swagger
+ * /advertisers/commissions:
+ *   get:
+ *     tags: [Payouts]
+ *     summary: List the calling advertiser's commissions
+ *     parameters:
+ *       - in: query
+ *         name: advertiser_id
+ *         schema: { type: string, format: uuid }
+ *         description: Admins only; whose commissions to list
+ *     responses:
+ *       200: { description: Commission payouts with their campaign }
+ *       403: { description: Not an advertiser }
+ */
+app.get('/advertisers/commissions', requireAuth, requirePermission('commissions:read'), validateRequest, async (req, res) => {
+  const advertiserId = req.user.role === 'admin' && req.query.advertiser_id ? req.query.advertiser_id : req.user.id;
+  const commissions = await models.getCommissionsByAdvertiser(advertiserId);
+  res.json(commissions);
+});
+
+/**
+ * @swagger
+ * /payouts/{id}/mark-paid:
+ *   post:
+ *     tags: [Payouts]
+ *     summary: Mark a pending payout on one of your orders as paid
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200: { description: Payout marked as paid }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: No payout with that id on your orders }
+ *       409: { description: Payout is not pending, has been reversed or is itself a reversal }
+ */
+app.post('/payouts/:id/mark-paid', requireAuth, requirePermission('payouts:settle'), validateRequest, async (req, res) => {
+  const payout = await models.markPayoutPaid(req.params.id, tenantId(req.user));
+  res.json(payout);
+});
+
+/**
+ * @swagger
+ * /analytics:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Get analytics logs
+ *     responses:
+ *       200: { description: Array of analytics }
+ *   post:
+ *     tags: [Analytics]
+ *     summary: Log analytics data
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [adLocation, format]
+ *             properties:
+ *               adLocation: { type: string, minLength: 1 }
+ *               format: { type: string, minLength: 1 }
+ *               clicks: { type: integer, minimum: 0, default: 0 }
+ *               conversions: { type: integer, minimum: 0, default: 0 }
+ *     responses:
+ *       201: { description: Analytics logged }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       429: { description: Too many requests }
+ */
+app.get('/analytics', limiter.limit('ANALYTICS_IP', clientKey), async (req, res) => {
+  const logs = await models.getAnalyticsLogs();
+  res.json(logs);
+});
+app.post('/analytics', limiter.limit('ANALYTICS_IP', clientKey), validateRequest, async (req, res) => {
+  const log = await models.createAnalyticsLog(req.body);
+  res.status(201).json(log);
+});
+
+/**
+ * @swagger
+ * /analytics/scan:
+ *   post:
+ *     tags: [Analytics]
+ *     summary: Record a QR scan event with geolocation and context
+ *     description: >
+ *       When `scan_id` refers to a scan already recorded by the /w/ redirect, the
+ *       location data is attached to that scan instead of creating a new one.
+ *       Missing city, suburb, region and weather are looked up after the response
+ *       is sent and backfilled onto the scan. The distance to the retailer's nearest
+ *       store (and whether it was open) and to the campaign's nearest placement are
+ *       computed from `coords`; see /stores and /campaigns/{id}/placements.
+ *       Integrations may call this with an API key that has the scans-write scope;
+ *       the campaign must then belong to the key's owner.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [campaign_id, coords]
+ *             properties:
+ *               scan_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: >
+ *                   Attribution token from the /w/ redirect. Ignored unless it names a recorded
+ *                   scan; new scans always get a server-generated id.
+ *               campaign_id: { type: string, format: uuid }
+ *               placement_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Placement of the campaign the scan came through (new scans only)
+ *               scanned_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required unless scan_id refers to a scan recorded by the /w/ redirect
+ *               coords:
+ *                 type: object
+ *                 required: [lat, lon]
  *                 properties:
- *                   lat: { type: number }
- *                   lon: { type: number }
- *               city: { type: string }
- *               suburb: { type: string }
- *               region: { type: string }
- *               weather: { type: object }
- *               distance_to_store_m: { type: integer }
+ *                   lat: { type: number, minimum: -90, maximum: 90 }
+ *                   lon: { type: number, minimum: -180, maximum: 180 }
+ *               city: { type: string, nullable: true }
+ *               suburb: { type: string, nullable: true }
+ *               region: { type: string, nullable: true }
+ *               weather: { type: object, nullable: true }
  *               nearest_poi: { type: string }
  *               distance_to_poi_m: { type: integer }
  *               user_agent: { type: string }
  *     responses:
- *       201: { description: Scan event recorded }
+ *       200: { description: Location attached to an existing scan, or the earlier scan when the same device reported one within SCAN_DEDUP_SECONDS }
+ *       201:
+ *         description: >
+ *           Scan event recorded with a 0-100 quality_score. It is flagged if outside the
+ *           campaign window or suspicious: crawler user agent (bot), scanned_at in the
+ *           future or too old, impossible travel since the device's previous scan,
+ *           coordinates outside the campaign area, or a burst from one address.
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: Campaign not found }
+ *       429: { description: Too many requests from this address or for this campaign }
  */
-app.post('/analytics/scan', async (req, res) => {
-  let {
+app.post('/analytics/scan', allowApiKey('scans:write'), limitScans, validateRequest, async (req, res) => {
+  const {
+    scan_id,
     campaign_id,
+    placement_id,
     scanned_at,
     coords,
     city,
     suburb,
     region,
     weather,
-    distance_to_store_m,
     nearest_poi,
     distance_to_poi_m,
     user_agent
   } = req.body;
 
-  if (!campaign_id || !scanned_at || !coords || typeof coords.lat !== 'number' || typeof coords.lon !== 'number') {
-    return res.status(400).json({ error: 'Missing required scan data' });
+  // Integrations may only report scans for their own retailer's campaigns
+  if (req.user && !(await ownsResource('campaign', campaign_id, req.user))) {
+    return res.status(404).json({ error: 'Campaign not found' });
   }
+  const existing = scan_id ? await models.getScanById(scan_id) : null;
 
-  // Reverse geocode if city/suburb/region not provided
-  if (!city || !suburb || !region) {
-    try {
-      const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${coords.lat}&lon=${coords.lon}&zoom=18&addressdetails=1`;
-      const geoRes = await fetch(url, {
-        headers: { 'User-Agent': 'GlassCart/1.0 (contact@glasscart.com)' }
-      });
-      const geoData = await geoRes.json();
-      if (geoData.address) {
-        city = city || geoData.address.city || geoData.address.town || geoData.address.village || null;
-        suburb = suburb || geoData.address.suburb || geoData.address.neighbourhood || null;
-        region = region || geoData.address.state || geoData.address.region || null;
-      }
-    } catch (err) {
-      // If reverse geocoding fails, continue without it
-    }
+  if (existing) {
+    if (existing.campaign_id !== campaign_id) return res.status(400).json({ error: 'scan_id does not belong to this campaign' });
+    const campaign = await models.getCampaignById(campaign_id);
+    // A scan that already has coordinates keeps them, and the distances measured from them
+    const located = existing.lat != null ? { lat: Number(existing.lat), lon: Number(existing.lon) } : coords;
+    const updated = await models.attachScanLocation(scan_id, campaign_id, {
+      lat: coords.lat,
+      lon: coords.lon,
+      city,
+      suburb,
+      region,
+      weather,
+      nearest_poi,
+      distance_to_poi_m,
+      ...(await scanProximity(campaign, located, existing.scanned_at))
+    });
+    // Coordinates make the travel and campaign-area checks possible now
+    const quality = await scoreScan(updated, campaign, {
+      exclude_id: updated.id,
+      device_hash: updated.device_hash,
+      ip_hash: updated.ip_hash
+    });
+    const rescored = await models.updateScanQuality(updated.id, quality.flags, quality.quality_score);
+    enrichment.enqueue(rescored);
+    return res.json(rescored);
+  }
+  if (!scanned_at) return res.status(400).json({ error: 'Missing required scan data' });
+  const campaign = await models.getCampaignById(campaign_id);
+  if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+  if (placement_id && !(await models.getPlacement(campaign_id, placement_id))) {
+    return res.status(400).json({ error: 'placement_id does not belong to this campaign' });
   }
 
-  // Weather enrichment using OpenWeatherMap API
-  if (!weather && coords.lat && coords.lon) {
-    try {
-      const weatherUrl = `https://api.openweathermap.org/data/2.5/weather?lat=${coords.lat}&lon=${coords.lon}&appid=2cea4d95faa29aaba97825222561bbca&units=metric`;
-      const weatherRes = await fetch(weatherUrl);
-      if (weatherRes.ok) {
-        const weatherData = await weatherRes.json();
-        weather = {
-          temp: weatherData.main?.temp,
-          feels_like: weatherData.main?.feels_like,
-          humidity: weatherData.main?.humidity,
-          wind_speed: weatherData.wind?.speed,
-          condition: weatherData.weather?.[0]?.main,
-          description: weatherData.weather?.[0]?.description
-        };
-      }
-    } catch (err) {
-      // If weather API fails, continue without it
+  // Integrations report scans for many devices from one address, so only
+  // anonymous (browser) reports are de-duplicated
+  const userAgent = user_agent || req.headers['user-agent'];
+  const device_hash = req.user ? null : deviceHash(req, userAgent);
+  const ip_hash = req.user ? null : ipHash(req);
+  if (device_hash) {
+    const recent = await models.getRecentDeviceScan(campaign_id, device_hash, SCAN_DEDUP_SECONDS);
+    if (recent) {
+      scansDeduplicated.inc();
+      return res.json(recent);
     }
   }
+  const quality = await scoreScan(
+    { scanned_at, lat: coords.lat, lon: coords.lon, user_agent: userAgent },
+    campaign,
+    { device_hash, ip_hash }
+  );
 
-  const scan = await models.createScan({
+  const scan = await recordScan({
     campaign_id,
     scanned_at,
     lat: coords.lat,
@@ -506,15 +1284,51 @@ app.post('/analytics/scan', async (req, res) => {
     suburb,
     region,
     weather,
-    distance_to_store_m,
     nearest_poi,
     distance_to_poi_m,
-    user_agent: user_agent || req.headers['user-agent']
+    ...(await scanProximity(campaign, coords, scanned_at)),
+    placement_id: placement_id || null,
+    user_agent: userAgent,
+    device_type: parseDeviceType(userAgent),
+    flags: [...models.scheduleFlags(campaign, scanned_at), ...quality.flags],
+    quality_score: quality.quality_score,
+    device_hash,
+    ip_hash
   });
 
+  // Missing city/weather fields are backfilled in the background
+  enrichment.enqueue(scan);
   res.status(201).json(scan);
 });
 
+/**
+ * @swagger
+ * /analytics/scan/{id}/view:
+ *   post:
+ *     tags: [Analytics]
+ *     summary: Record that the product page for a scan was loaded
+ *     description: >
+ *       Called by the product page with the `scan` token from the /w/ redirect. Only
+ *       the first load is kept, so each scan counts once toward the campaign funnel's
+ *       product_views.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       204: { description: View recorded }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: Scan not found }
+ *       429: { description: Too many requests from this address }
+ */
+app.post('/analytics/scan/:id/view', limiter.limit('SCAN_IP', clientKey), validateRequest, async (req, res) => {
+  const scan = await models.markScanViewed(req.params.id);
+  if (!scan) return res.status(404).json({ error: 'Scan not found' });
+  res.status(204).end();
+});
+
 // Example summary endpoint
 /**
  * @swagger
@@ -522,15 +1336,405 @@ app.post('/analytics/scan', async (req, res) => {
  *   get:
  *     tags: [Analytics]
  *     summary: Get scan counts grouped by city
+ *     description: Counts the caller's scans (all scans for admins).
+ *     parameters:
+ *       - in: query
+ *         name: include_flagged
+ *         schema: { type: boolean, default: false }
+ *         description: Also count scans flagged as suspicious or outside the campaign window
  *     responses:
  *       200:
  *         description: Scan summary by city
  */
-app.get('/analytics/scans/summary/city', async (req, res) => {
-  const summary = await models.getScanSummaryByCity();
+app.get('/analytics/scans/summary/city', requireAuth, requirePermission('analytics:read'), validateRequest, async (req, res) => {
+  const summary = await models.getScanSummaryByCity({
+    retailer_id: tenantId(req.user),
+    includeFlagged: req.query.include_flagged === 'true'
+  });
   res.json(summary);
 });
 
+/**
+ * @swagger
+ * /analytics/scans/timeseries:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Scan and conversion counts over time
+ *     description: >
+ *       Counts the caller's scans (all scans for admins) per hour, day, week or month,
+ *       optionally filtered and split by campaign, city, region, device type, scan
+ *       source, weather condition, placement, nearest store or whether that store was
+ *       open.
+ *       Buckets follow the calendar of `tz`, so a day runs from local midnight; each
+ *       bucket is returned as the UTC instant it starts. Buckets without scans are
+ *       left out. Conversions are scans that led to an attributed order.
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema: { type: string, enum: [hour, day, week, month], default: day }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Start of the range, inclusive (default 30 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: End of the range, exclusive (default now)
+ *       - in: query
+ *         name: tz
+ *         schema: { type: string, default: UTC, example: Pacific/Auckland }
+ *         description: IANA time zone the buckets are aligned to
+ *       - in: query
+ *         name: campaign_id
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: region
+ *         schema: { type: string }
+ *       - in: query
+ *         name: device_type
+ *         schema: { type: string }
+ *       - in: query
+ *         name: scan_source
+ *         schema: { type: string, enum: [QR, shortlink, embed] }
+ *       - in: query
+ *         name: weather_condition
+ *         schema: { type: string }
+ *       - in: query
+ *         name: nearest_store_id
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: store_open
+ *         schema: { type: boolean }
+ *         description: Whether the nearest store was open at the time of the scan
+ *       - in: query
+ *         name: placement_id
+ *         schema: { type: string, format: uuid }
+ *         description: Placement whose short link the scan came through
+ *       - in: query
+ *         name: group_by
+ *         schema: { type: string, example: 'city,device_type' }
+ *         description: >
+ *           Comma-separated dimensions to split each bucket by: campaign_id, city,
+ *           region, device_type, scan_source, weather_condition, nearest_store_id,
+ *           store_open, placement_id
+ *       - in: query
+ *         name: include_flagged
+ *         schema: { type: boolean, default: false }
+ *         description: Also count scans flagged as suspicious or outside the campaign window
+ *     responses:
+ *       200:
+ *         description: Buckets in time order, with totals for the whole range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval: { type: string }
+ *                 tz: { type: string }
+ *                 from: { type: string, format: date-time }
+ *                 to: { type: string, format: date-time }
+ *                 group_by: { type: array, items: { type: string } }
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     scans: { type: integer }
+ *                     conversions: { type: integer }
+ *                 buckets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     required: [bucket, scans, conversions]
+ *                     description: Also carries a key per group_by dimension
+ *                     properties:
+ *                       bucket: { type: string, format: date-time }
+ *                       scans: { type: integer }
+ *                       conversions: { type: integer }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ */
+app.get('/analytics/scans/timeseries', requireAuth, requirePermission('analytics:read'), validateRequest, async (req, res) => {
+  const interval = req.query.interval || 'day';
+  const tz = req.query.tz || 'UTC';
+  if (!isTimeZone(tz)) throw new ValidationError('Unknown time zone', [{ in: 'query', field: 'tz', message: 'must be an IANA time zone' }]);
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_TIMESERIES_DAYS * 86400e3);
+  if (from >= to) throw new ValidationError('from must be before to');
+  if ((to - from) / BUCKET_MS[interval] > MAX_TIMESERIES_BUCKETS) {
+    throw new ValidationError(`Range too long for ${interval} buckets; use a shorter range or a larger interval`);
+  }
+  const groupBy = [...new Set((req.query.group_by || '').split(',').map(part => part.trim()).filter(Boolean))];
+  const unknown = groupBy.filter(dimension => !Object.hasOwn(models.SCAN_DIMENSIONS, dimension));
+  if (unknown.length) {
+    throw new ValidationError('Unknown group_by dimension', unknown.map(dimension => ({
+      in: 'query',
+      field: 'group_by',
+      message: `${dimension} is not one of: ${Object.keys(models.SCAN_DIMENSIONS).join(', ')}`
+    })));
+  }
+  const filters = {};
+  for (const dimension of Object.keys(models.SCAN_DIMENSIONS)) filters[dimension] = req.query[dimension];
+
+  const buckets = await models.getScanTimeSeries({
+    retailer_id: tenantId(req.user),
+    interval,
+    from,
+    to,
+    timeZone: tz,
+    filters,
+    groupBy,
+    includeFlagged: req.query.include_flagged === 'true'
+  });
+  res.json({
+    interval,
+    tz,
+    from,
+    to,
+    group_by: groupBy,
+    totals: {
+      scans: buckets.reduce((sum, bucket) => sum + bucket.scans, 0),
+      conversions: buckets.reduce((sum, bucket) => sum + bucket.conversions, 0)
+    },
+    buckets
+  });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FeatureCollection:
+ *       type: object
+ *       description: GeoJSON FeatureCollection (RFC 7946); coordinates are [lon, lat]
+ *       required: [type, features]
+ *       properties:
+ *         type: { type: string, enum: [FeatureCollection] }
+ *         features:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [type, geometry, properties]
+ *             properties:
+ *               type: { type: string, enum: [Feature] }
+ *               bbox: { type: array, items: { type: number } }
+ *               geometry:
+ *                 type: object
+ *                 properties:
+ *                   type: { type: string, enum: [Point, Polygon] }
+ *                   coordinates: { type: array }
+ *               properties: { type: object }
+ */
+
+/**
+ * @swagger
+ * /analytics/scans/grid:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Scan counts binned into map cells
+ *     description: >
+ *       Bins the caller's located scans (all scans for admins) into square grid
+ *       cells or geohashes. Grid cells at `zoom` are 1/16th of a web-map tile
+ *       edge (360° / 2^(zoom+4)), so a map can draw them at that zoom level;
+ *       geohash cells follow the usual geohash boundaries at `precision`. Cells
+ *       without scans are left out and at most 5000 of the busiest are returned,
+ *       with `truncated` set when there were more. `format=geojson` returns a
+ *       FeatureCollection of cell polygons instead.
+ *     parameters:
+ *       - in: query
+ *         name: scheme
+ *         schema: { type: string, enum: [grid, geohash], default: grid }
+ *       - in: query
+ *         name: zoom
+ *         schema: { type: integer, minimum: 0, maximum: 20, default: 10 }
+ *         description: Web-map zoom level the grid is sized for (grid scheme)
+ *       - in: query
+ *         name: precision
+ *         schema: { type: integer, minimum: 1, maximum: 9, default: 6 }
+ *         description: Geohash length (geohash scheme)
+ *       - in: query
+ *         name: bbox
+ *         schema: { type: string, example: '174.6,-37.0,174.9,-36.8' }
+ *         description: Only count scans inside west,south,east,north (degrees)
+ *       - in: query
+ *         name: campaign_id
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Start of the range, inclusive
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: End of the range, exclusive
+ *       - in: query
+ *         name: include_flagged
+ *         schema: { type: boolean, default: false }
+ *         description: Also count scans flagged as suspicious or outside the campaign window
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, geojson], default: json }
+ *     responses:
+ *       200:
+ *         description: Cells with scans, busiest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 scheme: { type: string }
+ *                 zoom: { type: integer }
+ *                 precision: { type: integer }
+ *                 cell_size: { type: object, properties: { lat_deg: { type: number }, lon_deg: { type: number } } }
+ *                 truncated: { type: boolean }
+ *                 cells:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string, description: 'zoom/x/y for grid cells, the geohash otherwise' }
+ *                       bounds: { type: array, items: { type: number }, description: '[west, south, east, north]' }
+ *                       centroid: { type: object, properties: { lat: { type: number }, lon: { type: number } } }
+ *                       scans: { type: integer }
+ *                       conversions: { type: integer }
+ *           application/geo+json:
+ *             schema: { $ref: '#/components/schemas/FeatureCollection' }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ */
+app.get('/analytics/scans/grid', requireAuth, requirePermission('analytics:read'), validateRequest, async (req, res) => {
+  const scheme = req.query.scheme || 'grid';
+  const zoom = scheme === 'grid' ? Number(req.query.zoom ?? 10) : undefined;
+  const precision = scheme === 'geohash' ? Number(req.query.precision ?? 6) : undefined;
+  const size = scheme === 'grid' ? gridCellSize(zoom) : geohashCellSize(precision);
+  const scope = scanScope(req);
+
+  const rows = await models.getScanGrid({
+    ...size,
+    ...scope,
+    bbox: bboxParam(req.query.bbox),
+    limit: MAX_GEO_CELLS + 1
+  });
+  const truncated = rows.length > MAX_GEO_CELLS;
+  const cells = rows.slice(0, MAX_GEO_CELLS).map(row => {
+    const bounds = cellBounds(row.x, row.y, size);
+    return {
+      id: scheme === 'grid'
+        ? `${zoom}/${row.x}/${row.y}`
+        : encodeGeohash((bounds[1] + bounds[3]) / 2, (bounds[0] + bounds[2]) / 2, precision),
+      bounds,
+      centroid: { lat: row.lat, lon: row.lon },
+      scans: row.scans,
+      conversions: row.conversions
+    };
+  });
+
+  if (req.query.format === 'geojson') {
+    return res.type('application/geo+json').json(featureCollection(cells.map(({ bounds, ...cell }) => boundsFeature(bounds, cell))));
+  }
+  res.json({ scheme, zoom, precision, cell_size: { lat_deg: size.latDeg, lon_deg: size.lonDeg }, truncated, cells });
+});
+
+/**
+ * @swagger
+ * /analytics/scans/nearby:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Scans within a distance of a point
+ *     description: >
+ *       The caller's scans (all scans for admins) within `radius_m` metres of
+ *       lat/lon by great-circle distance, nearest first. `truncated` is set when
+ *       more than `limit` scans matched. `format=geojson` returns a
+ *       FeatureCollection of scan points instead.
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema: { type: number, minimum: -90, maximum: 90 }
+ *       - in: query
+ *         name: lon
+ *         required: true
+ *         schema: { type: number, minimum: -180, maximum: 180 }
+ *       - in: query
+ *         name: radius_m
+ *         schema: { type: number, exclusiveMinimum: 0, maximum: 50000, default: 500 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 1000, default: 200 }
+ *       - in: query
+ *         name: campaign_id
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Start of the range, inclusive
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: End of the range, exclusive
+ *       - in: query
+ *         name: include_flagged
+ *         schema: { type: boolean, default: false }
+ *         description: Also list scans flagged as suspicious or outside the campaign window
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, geojson], default: json }
+ *     responses:
+ *       200:
+ *         description: Matching scans, nearest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 center: { type: object, properties: { lat: { type: number }, lon: { type: number } } }
+ *                 radius_m: { type: number }
+ *                 truncated: { type: boolean }
+ *                 scans:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       campaign_id: { type: string }
+ *                       scanned_at: { type: string, format: date-time }
+ *                       lat: { type: number }
+ *                       lon: { type: number }
+ *                       distance_m: { type: number }
+ *                       city: { type: string, nullable: true }
+ *                       suburb: { type: string, nullable: true }
+ *                       region: { type: string, nullable: true }
+ *                       device_type: { type: string, nullable: true }
+ *                       scan_source: { type: string, nullable: true }
+ *                       flags: { type: array, items: { type: string } }
+ *                       converted_order_id: { type: string, nullable: true }
+ *           application/geo+json:
+ *             schema: { $ref: '#/components/schemas/FeatureCollection' }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ */
+app.get('/analytics/scans/nearby', requireAuth, requirePermission('analytics:read'), validateRequest, async (req, res) => {
+  const center = { lat: Number(req.query.lat), lon: Number(req.query.lon) };
+  const radius_m = Number(req.query.radius_m ?? 500);
+  const limit = Number(req.query.limit ?? 200);
+
+  const rows = await models.getScansNear({
+    ...center,
+    ...scanScope(req),
+    radius_m,
+    box: boundingBox(center, radius_m),
+    limit: limit + 1
+  });
+  const truncated = rows.length > limit;
+  const scans = rows.slice(0, limit).map(scan => ({ ...scan, distance_m: Math.round(scan.distance_m * 10) / 10 }));
+
+  if (req.query.format === 'geojson') {
+    return res.type('application/geo+json').json(featureCollection(scans.map(({ lat, lon, ...scan }) => pointFeature({ lat, lon }, scan))));
+  }
+  res.json({ center, radius_m, truncated, scans });
+});
+
 /**
  * @swagger
  * /analytics/scans/summary/campaign/{campaignId}:
@@ -542,6 +1746,10 @@ app.get('/analytics/scans/summary/city', async (req, res) => {
  *         name: campaignId
  *         required: true
  *         schema: { type: string }
+ *       - in: query
+ *         name: include_flagged
+ *         schema: { type: boolean, default: false }
+ *         description: Also list scans flagged as suspicious or outside the campaign window
  *     responses:
  *       200:
  *         description: List of scans for the campaign
@@ -556,25 +1764,35 @@ app.get('/analytics/scans/summary/city', async (req, res) => {
  *                   scanned_at: { type: string, format: date-time }
  *                   coords:
  *                     type: object
+ *                     nullable: true
+ *                     description: Null until the product page reports a location
  *                     properties:
  *                       lat: { type: number }
  *                       lon: { type: number }
- *                   city: { type: string }
- *                   suburb: { type: string }
- *                   region: { type: string }
- *                   weather: { type: object }
- *                   distance_to_store_m: { type: integer }
- *                   nearest_poi: { type: string }
- *                   distance_to_poi_m: { type: integer }
- *                   user_agent: { type: string }
- */
-app.get('/analytics/scans/summary/campaign/:campaignId', requireRetailerAuth, async (req, res) => {
-  const campaignId = req.params.campaignId;
-  const scans = await models.getScansByCampaign(campaignId);
+ *                   city: { type: string, nullable: true }
+ *                   suburb: { type: string, nullable: true }
+ *                   region: { type: string, nullable: true }
+ *                   weather: { type: object, nullable: true }
+ *                   distance_to_store_m: { type: integer, nullable: true, description: To the retailer's nearest store }
+ *                   nearest_store_id: { type: string, nullable: true }
+ *                   store_open: { type: boolean, nullable: true, description: Whether that store was open; null when unknown }
+ *                   nearest_placement_id: { type: string, nullable: true }
+ *                   distance_to_placement_m: { type: integer, nullable: true, description: To the campaign's nearest placement }
+ *                   nearest_poi: { type: string, nullable: true }
+ *                   distance_to_poi_m: { type: integer, nullable: true }
+ *                   user_agent: { type: string, nullable: true }
+ *                   flags: { type: array, items: { type: string } }
+ *                   quality_score: { type: integer, nullable: true, description: 0-100; null for scans recorded before scoring }
+ *                   placement_id: { type: string, nullable: true, description: Placement whose link the scan came through }
+ */
+app.get('/analytics/scans/summary/campaign/:campaignId', requireAuth, requirePermission('analytics:read'), requireOwned('campaign', 'campaignId'), validateRequest, async (req, res) => {
+  const scans = await models.getScansByCampaign(req.campaign.id, {
+    includeFlagged: req.query.include_flagged === 'true'
+  });
   const result = scans.map(scan => ({
     campaign_id: scan.campaign_id,
     scanned_at: scan.scanned_at,
-    coords: {
+    coords: scan.lat == null ? null : {
       lat: parseFloat(scan.lat),
       lon: parseFloat(scan.lon)
     },
@@ -583,9 +1801,16 @@ app.get('/analytics/scans/summary/campaign/:campaignId', requireRetailerAuth, as
     region: scan.region,
     weather: scan.weather,
     distance_to_store_m: scan.distance_to_store_m,
+    nearest_store_id: scan.nearest_store_id,
+    store_open: scan.store_open,
+    nearest_placement_id: scan.nearest_placement_id,
+    distance_to_placement_m: scan.distance_to_placement_m,
     nearest_poi: scan.nearest_poi,
     distance_to_poi_m: scan.distance_to_poi_m,
-    user_agent: scan.user_agent
+    user_agent: scan.user_agent,
+    flags: scan.flags,
+    quality_score: scan.quality_score,
+    placement_id: scan.placement_id
   }));
   res.json(result);
 });
@@ -605,25 +1830,44 @@ app.get('/analytics/scans/summary/campaign/:campaignId', requireRetailerAuth, as
  *         name: format
  *         schema: { type: string, enum: [png, svg] }
  *         description: Image format
+ *       - in: query
+ *         name: src
+ *         schema: { type: string, enum: [qr, embed] }
+ *         description: Scan source tag encoded into the short link (defaults to qr)
+ *       - in: query
+ *         name: placement
+ *         schema: { type: string, format: uuid }
+ *         description: Encode this placement's short link, so scans are attributed to it
  *     responses:
  *       200:
  *         description: QR code image
  *         content:
  *           image/png: {}
  *           image/svg+xml: {}
+ *       410:
+ *         description: Campaign has ended, or was archived or deleted
  */
-app.get('/qrcode/:campaignId', async (req, res) => {
+app.get('/qrcode/:campaignId', validateRequest, async (req, res) => {
   const { campaignId } = req.params;
   const { format } = req.query;
+  const src = req.query.src === 'embed' ? 'embed' : 'qr';
   const campaign = await models.getCampaignById(campaignId);
   if (!campaign) return res.status(404).end();
-  const targetUrl = `${BASE_URL}/w/${campaign.qr_code_identifier}`;
+  // Archived and deleted campaigns are off the shelf; their short links only
+  // lead to the fallback
+  if (campaign.deleted_at || campaign.status === 'archived') return res.status(410).send('Campaign has been removed');
+  // Codes may be printed ahead of the start date, but not after the end
+  if (models.getCampaignPhase(campaign) === 'ended') return res.status(410).send('Campaign has ended');
+  const placement = req.query.placement ? await models.getPlacement(campaign.id, req.query.placement) : null;
+  if (req.query.placement && !placement) return res.status(404).end();
+  const targetUrl = `${shortLinkFor(campaign, placement)}?src=${src}`;
+  const filename = placement ? `qr-${campaignId}-${placement.identifier}` : `qr-${campaignId}`;
 
   if (format === 'svg') {
     try {
       const svg = await QRCode.toString(targetUrl, { type: 'svg' });
       res.set('Content-Type', 'image/svg+xml');
-      res.set('Content-Disposition', `attachment; filename="qr-${campaignId}.svg"`);
+      res.set('Content-Disposition', `attachment; filename="${filename}.svg"`);
       return res.send(svg);
     } catch (err) {
       res.status(500).send('SVG generation failed');
@@ -639,7 +1883,7 @@ app.get('/qrcode/:campaignId', async (req, res) => {
       }
     });
     res.set('Content-Type', 'image/png');
-    res.set('Content-Disposition', `attachment; filename="qr-${campaignId}.png"`);
+    res.set('Content-Disposition', `attachment; filename="${filename}.png"`);
     res.send(buffer);
   } catch (err) {
     res.status(500).send('PNG generation failed');
@@ -652,19 +1896,114 @@ app.get('/qrcode/:campaignId', async (req, res) => {
  *   get:
  *     tags: [QR]
  *     summary: Short-link redirect to product page
+ *     description: >
+ *       Records a scan event, then redirects with a `scan` query parameter holding
+ *       its id as an attribution token. The product page reports its load to
+ *       /analytics/scan/{id}/view and passes the token back as `scan_id` when
+ *       reporting location and when placing an order. Campaigns that are not
+ *       active redirect to their fallback_url (or CAMPAIGN_FALLBACK_URL) without
+ *       recording a scan. Before start_date the link goes to the campaign's
+ *       coming_soon_url (or COMING_SOON_URL); after end_date it goes to the
+ *       fallback_url, the retailer's storefront_url or CAMPAIGN_FALLBACK_URL.
+ *       Those scans are recorded but flagged so they don't count toward performance.
+ *       Repeat hits from the same device within SCAN_DEDUP_SECONDS reuse the first
+ *       scan's token instead of recording another scan.
  *     parameters:
  *       - in: path
  *         name: identifier
  *         required: true
  *         schema: { type: string }
+ *       - in: query
+ *         name: src
+ *         schema: { type: string, enum: [qr, shortlink, embed] }
+ *         description: How the link was reached; printed QR codes carry src=qr
  *     responses:
- *       302: { description: Redirecting to product page }
- */
-app.get('/w/:identifier', async (req, res) => {
-  const campaign = await models.getCampaignByIdentifier(req.params.identifier);
+ *       302: { description: Redirecting to product page, or to the fallback target }
+ *       429: { description: Too many requests from this address or for this campaign }
+ * /w/{identifier}/{placement}:
+ *   get:
+ *     tags: [QR]
+ *     summary: Short-link redirect for one placement of a campaign
+ *     description: >
+ *       Behaves like /w/{identifier} and records the scan against the placement.
+ *       An unknown or removed placement still counts the scan for the campaign,
+ *       since its prints may still be up.
+ *     parameters:
+ *       - in: path
+ *         name: identifier
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: placement
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: src
+ *         schema: { type: string, enum: [qr, shortlink, embed] }
+ *         description: How the link was reached; printed QR codes carry src=qr
+ *     responses:
+ *       302: { description: Redirecting to product page, or to the fallback target }
+ *       429: { description: Too many requests from this address or for this campaign }
+ */
+app.get('/w/:identifier', limitRedirects, followShortLink);
+app.get('/w/:identifier/:placement', limitRedirects, followShortLink);
+
+async function followShortLink(req, res) {
+  const campaign = await models.getCampaignByIdentifier(req.params.identifier);
   if (!campaign) return res.status(404).end();
-  return res.redirect(`${FRONTEND_URL}/products/${campaign.product_id}`);
-});
+  if (campaign.status !== 'active' || campaign.deleted_at) {
+    return res.redirect(campaign.fallback_url || CAMPAIGN_FALLBACK_URL);
+  }
+
+  const scannedAt = new Date();
+  let scanId = uuidv4();
+  const userAgent = req.get('user-agent') || null;
+  const placement = req.params.placement ? await models.getPlacementByIdentifier(campaign.id, req.params.placement) : null;
+  const device_hash = deviceHash(req, userAgent);
+  try {
+    // A device re-opening the link shortly after keeps its first scan
+    const recent = await models.getRecentDeviceScan(campaign.id, device_hash, SCAN_DEDUP_SECONDS);
+    const ip_hash = ipHash(req);
+    const quality = recent ? null : await scoreScan(
+      { scanned_at: scannedAt, user_agent: userAgent },
+      campaign,
+      { device_hash, ip_hash }
+    );
+    if (recent) {
+      scanId = recent.id;
+      scansDeduplicated.inc();
+    }
+    // Hits outside the start/end window are kept but flagged, as are
+    // suspicious ones (see scanQuality.js)
+    else await recordScan({
+      id: scanId,
+      campaign_id: campaign.id,
+      scanned_at: scannedAt,
+      user_agent: userAgent,
+      device_type: parseDeviceType(userAgent),
+      referrer: req.get('referer') || null,
+      scan_source: Object.hasOwn(SCAN_SOURCES, req.query.src) ? SCAN_SOURCES[req.query.src] : SCAN_SOURCES.shortlink,
+      placement_id: placement ? placement.id : null,
+      flags: [...models.scheduleFlags(campaign, scannedAt), ...quality.flags],
+      quality_score: quality.quality_score,
+      device_hash,
+      ip_hash
+    });
+  } catch (err) {
+    // Never block the shopper on analytics; the token still works for orders
+    req.log.error('Failed to record redirect scan', err);
+  }
+
+  const phase = models.getCampaignPhase(campaign, scannedAt);
+  if (phase === 'upcoming') {
+    return res.redirect(campaign.coming_soon_url || COMING_SOON_URL);
+  }
+  if (phase === 'ended') {
+    const retailer = campaign.fallback_url ? null : await models.getRetailerById(campaign.retailer_id);
+    return res.redirect(campaign.fallback_url || (retailer && retailer.storefront_url) || CAMPAIGN_FALLBACK_URL);
+  }
+  return res.redirect(`${FRONTEND_URL}/products/${campaign.product_id}?scan=${scanId}`);
+}
 
 /**
  * @swagger
@@ -688,10 +2027,118 @@ app.get('/w/:identifier', async (req, res) => {
  *                 embedCode: { type: string }
  */
 app.get('/embed/qr/:identifier', async (req, res) => {
-  const snippet = `<iframe src="${BASE_URL}/qrcode/${req.params.identifier}" width="150" height="150" frameborder="0"></iframe>`;
+  const snippet = `<iframe src="${BASE_URL}/qrcode/${req.params.identifier}?src=embed" width="150" height="150" frameborder="0"></iframe>`;
   res.json({ embedCode: snippet });
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignFunnel:
+ *       type: object
+ *       properties:
+ *         campaign_id: { type: string }
+ *         campaign_name: { type: string }
+ *         from: { type: string, format: date-time, nullable: true }
+ *         to: { type: string, format: date-time, nullable: true }
+ *         scans: { type: integer }
+ *         unique_scanners: { type: integer, description: Distinct scanning devices }
+ *         product_views:
+ *           type: integer
+ *           description: Scans whose product page was loaded (see /analytics/scan/{id}/view)
+ *         orders: { type: integer, description: Orders placed, not counting cancelled or refunded ones }
+ *         conversion_rate: { type: number, nullable: true, description: orders / unique_scanners }
+ *         revenue: { type: number }
+ *         commission: { type: number, description: Advertiser commission net of reversals }
+ *         commission_paid: { type: number, description: Part of the commission already paid out }
+ *         median_seconds_to_purchase:
+ *           type: number
+ *           nullable: true
+ *           description: Median time from an attributed scan to its order
+ */
+
+/**
+ * @swagger
+ * /campaigns/{id}/funnel:
+ *   get:
+ *     tags: [Campaigns]
+ *     summary: Campaign funnel from scans to revenue
+ *     description: >
+ *       Scans, unique scanners, product page views, orders, conversion rate, revenue,
+ *       commission and median time to purchase, over all time or a date range. Passing
+ *       compare_campaign_id, compare_from or compare_to adds a second funnel for
+ *       side-by-side comparison: another of your campaigns, another date range, or
+ *       both (unset compare_* values fall back to the primary ones). `change` holds
+ *       the relative difference of each figure against the comparison.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Start of the range, inclusive
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: End of the range, exclusive
+ *       - in: query
+ *         name: compare_campaign_id
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: compare_from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: compare_to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: include_flagged
+ *         schema: { type: boolean, default: false }
+ *         description: Also count scans flagged as suspicious or outside the campaign window
+ *     responses:
+ *       200:
+ *         description: The funnel, plus the comparison and relative changes when requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 funnel: { $ref: '#/components/schemas/CampaignFunnel' }
+ *                 comparison: { $ref: '#/components/schemas/CampaignFunnel' }
+ *                 change:
+ *                   type: object
+ *                   description: (funnel - comparison) / comparison per figure; null where the comparison is zero
+ *                   additionalProperties: { type: number, nullable: true }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: Not found }
+ */
+app.get('/campaigns/:id/funnel', requireAuth, requirePermission('analytics:read'), requireOwned('campaign'), validateRequest, async (req, res) => {
+  const includeFlagged = req.query.include_flagged === 'true';
+  const primary = { campaign: req.campaign, from: dateParam(req.query.from), to: dateParam(req.query.to) };
+  const result = { funnel: await campaignFunnel(primary, includeFlagged) };
+
+  const { compare_campaign_id, compare_from, compare_to } = req.query;
+  if (compare_campaign_id || compare_from || compare_to) {
+    let campaign = req.campaign;
+    if (compare_campaign_id) {
+      if (!(await ownsResource('campaign', compare_campaign_id, req.user))) {
+        throw new NotFoundError('Comparison campaign not found');
+      }
+      campaign = await models.getCampaignById(compare_campaign_id);
+    }
+    result.comparison = await campaignFunnel({
+      campaign,
+      from: compare_from ? dateParam(compare_from) : primary.from,
+      to: compare_to ? dateParam(compare_to) : primary.to
+    }, includeFlagged);
+    result.change = funnelChange(result.funnel, result.comparison);
+  }
+  res.json(result);
+});
+
 /**
  * @swagger
  * /campaigns/{id}/generate-assets:
@@ -715,32 +2162,206 @@ app.get('/embed/qr/:identifier', async (req, res) => {
  *                 qrSvgUrl: { type: string }
  *                 shortLink: { type: string }
  *                 embedCode: { type: string }
+ *                 placements:
+ *                   type: array
+ *                   description: The same links for each placement, which attribute scans to it
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       identifier: { type: string }
+ *                       name: { type: string }
+ *                       qrPngUrl: { type: string }
+ *                       qrSvgUrl: { type: string }
+ *                       shortLink: { type: string }
  */
-app.post('/campaigns/:id/generate-assets', async (req, res) => {
-  const campaign = await models.getCampaignById(req.params.id);
-  if (!campaign) return res.status(404).json({ error: 'Not found' });
+app.post('/campaigns/:id/generate-assets', requireAuth, requirePermission('campaigns:read'), requireOwned('campaign'), async (req, res) => {
+  const campaign = req.campaign;
   const id = campaign.id;
   const identifier = campaign.qr_code_identifier;
   const qrPngUrl = `${BASE_URL}/qrcode/${id}?format=png`;
   const qrSvgUrl = `${BASE_URL}/qrcode/${id}?format=svg`;
   const shortLink = `${BASE_URL}/w/${identifier}`;
   const embedCode = `<iframe src="${BASE_URL}/embed/qr/${identifier}" width="150" height="150"></iframe>`;
-  res.json({ qrPngUrl, qrSvgUrl, shortLink, embedCode });
+  const placements = (await models.getPlacementsByCampaign(id)).map(placement => {
+    const links = withPlacementLinks(campaign, placement);
+    return {
+      id: placement.id,
+      identifier: placement.identifier,
+      name: placement.name,
+      qrPngUrl: links.qr_png_url,
+      qrSvgUrl: links.qr_svg_url,
+      shortLink: links.short_link
+    };
+  });
+  res.json({ qrPngUrl, qrSvgUrl, shortLink, embedCode, placements });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OpeningHours:
+ *       type: object
+ *       nullable: true
+ *       description: >
+ *         Opening times per weekday in the store's time zone, as "HH:MM-HH:MM" ranges.
+ *         Days left out are closed. A range closing at or before its opening time runs
+ *         past midnight; "00:00-24:00" is all day. Null when the hours are unknown.
+ *       example: { mon: ['09:00-17:30'], sat: ['10:00-14:00'], fri: ['20:00-02:00'] }
+ *       additionalProperties: false
+ *       properties:
+ *         mon: { $ref: '#/components/schemas/OpeningRanges' }
+ *         tue: { $ref: '#/components/schemas/OpeningRanges' }
+ *         wed: { $ref: '#/components/schemas/OpeningRanges' }
+ *         thu: { $ref: '#/components/schemas/OpeningRanges' }
+ *         fri: { $ref: '#/components/schemas/OpeningRanges' }
+ *         sat: { $ref: '#/components/schemas/OpeningRanges' }
+ *         sun: { $ref: '#/components/schemas/OpeningRanges' }
+ *     OpeningRanges:
+ *       type: array
+ *       items:
+ *         type: string
+ *         pattern: '^([01]\d|2[0-3]):[0-5]\d-(([01]\d|2[0-3]):[0-5]\d|24:00)$'
+ */
+
+/**
+ * @swagger
+ * /stores:
+ *   get:
+ *     tags: [Stores]
+ *     summary: List the caller's stores (all stores for admins)
+ *     responses:
+ *       200: { description: Array of stores }
+ *   post:
+ *     tags: [Stores]
+ *     summary: Register a store location
+ *     description: >
+ *       Scans with coordinates record the distance to the retailer's nearest store
+ *       (nearest_store_id, distance_to_store_m) and whether it was open at the time
+ *       of the scan (store_open; null when the store's hours are unknown).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, lat, lon]
+ *             properties:
+ *               retailer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Admins only; the retailer the store belongs to
+ *               name: { type: string, minLength: 1 }
+ *               address: { type: string, nullable: true }
+ *               lat: { type: number, minimum: -90, maximum: 90 }
+ *               lon: { type: number, minimum: -180, maximum: 180 }
+ *               timezone: { type: string, default: UTC, example: Pacific/Auckland }
+ *               opening_hours: { $ref: '#/components/schemas/OpeningHours' }
+ *     responses:
+ *       201: { description: Store created }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ */
+app.get('/stores', requireAuth, requirePermission('stores:read'), async (req, res) => {
+  res.json(await models.getStores(tenantId(req.user)));
+});
+
+app.post('/stores', requireAuth, requirePermission('stores:manage'), validateRequest, async (req, res) => {
+  // Retailers always own the stores they create; admins name the retailer
+  const retailer_id = tenantId(req.user) || req.body.retailer_id;
+  if (!retailer_id) throw new ValidationError('Invalid request', [{ in: 'body', field: 'retailer_id', message: 'is required' }]);
+  checkTimeZone(req.body.timezone);
+  const { name, address, lat, lon, timezone, opening_hours } = req.body;
+  const store = await models.createStore({ retailer_id, name, address, lat, lon, timezone, opening_hours });
+  res.status(201).json(store);
+});
+
+/**
+ * @swagger
+ * /stores/{id}:
+ *   get:
+ *     tags: [Stores]
+ *     summary: Get a store
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Store found }
+ *       404: { description: Not found }
+ *   put:
+ *     tags: [Stores]
+ *     summary: Update a store
+ *     description: Only the supplied fields change. Scans already recorded keep their values.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string, minLength: 1 }
+ *               address: { type: string, nullable: true }
+ *               lat: { type: number, minimum: -90, maximum: 90 }
+ *               lon: { type: number, minimum: -180, maximum: 180 }
+ *               timezone: { type: string }
+ *               opening_hours: { $ref: '#/components/schemas/OpeningHours' }
+ *     responses:
+ *       200: { description: Store updated }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       404: { description: Not found }
+ *   delete:
+ *     tags: [Stores]
+ *     summary: Remove a store
+ *     description: Scans keep their distance to it but no longer link to it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204: { description: No content }
+ *       404: { description: Not found }
+ */
+app.get('/stores/:id', requireAuth, requirePermission('stores:read'), requireOwned('store'), async (req, res) => {
+  res.json(req.store);
+});
+
+app.put('/stores/:id', requireAuth, requirePermission('stores:manage'), requireOwned('store'), validateRequest, async (req, res) => {
+  checkTimeZone(req.body.timezone);
+  res.json(await models.updateStore(req.store.id, req.body));
+});
+
+app.delete('/stores/:id', requireAuth, requirePermission('stores:manage'), requireOwned('store'), async (req, res) => {
+  await models.deleteStore(req.store.id);
+  res.status(204).end();
 });
 
 /**
  * @swagger
  * /retailers:
  *   get:
- *     summary: Get all retailers
+ *     summary: Get all retailers visible to the caller
+ *     description: Retailers can only see their own account; admins see all retailers.
  *     tags: [Retailers]
  *     responses:
  *       200:
  *         description: List of retailers
  */
-app.get('/retailers', async (req, res) => {
-  const { rows } = await pool.query("SELECT * FROM users WHERE role='retailer' ORDER BY created_at DESC");
-  res.json(rows);
+app.get('/retailers', requireRetailerAuth, async (req, res) => {
+  const { rows } = await pool.query(
+    "SELECT * FROM users WHERE ($1::uuid IS NULL OR id=$1) AND role='retailer' ORDER BY created_at DESC",
+    [tenantId(req.user)]
+  );
+  res.json(rows.map(publicUser));
 });
 
 /**
@@ -759,13 +2380,15 @@ app.get('/retailers', async (req, res) => {
  *     responses:
  *       200:
  *         description: Retailer object
+ *       403:
+ *         description: Not your account
  *       404:
  *         description: Retailer not found
  */
-app.get('/retailers/:id', async (req, res) => {
+app.get('/retailers/:id', requireRetailerAuth, requireSelf(), async (req, res) => {
   const { rows } = await pool.query("SELECT * FROM users WHERE id=$1 AND role='retailer'", [req.params.id]);
   if (rows.length === 0) return res.status(404).json({ error: 'Retailer not found' });
-  res.json(rows[0]);
+  res.json(publicUser(rows[0]));
 });
 
 /**
@@ -780,34 +2403,40 @@ app.get('/retailers/:id', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [name, email]
+ *             required: [name, email, username, password]
  *             properties:
  *               name:
  *                 type: string
+ *                 minLength: 1
  *               email:
  *                 type: string
+ *                 minLength: 1
+ *               username:
+ *                 type: string
+ *                 minLength: 1
+ *               password:
+ *                 type: string
+ *                 minLength: 1
  *     responses:
  *       201:
- *         description: Retailer created
+ *         description: Retailer created. A verification link is emailed; campaigns can only be published once it is followed.
+ *       400:
+ *         description: Invalid request, or the email or username is taken
  */
-app.post('/retailers', async (req, res) => {
+app.post('/retailers', validateRequest, async (req, res) => {
   const { name, email, username, password } = req.body;
-  if (!name || !email || !username || !password) return res.status(400).json({ error: 'Name, email, username, and password are required' });
-  try {
-    // Check if username or email already exists
-    const existing = await pool.query("SELECT * FROM users WHERE (email=$1 OR username=$2) AND role='retailer'", [email, username]);
-    if (existing.rows.length > 0) {
-      return res.status(400).json({ error: 'Email or username already exists' });
-    }
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const { rows } = await pool.query(
-      "INSERT INTO users(id, name, email, username, password, role) VALUES($1, $2, $3, $4, $5, 'retailer') RETURNING *",
-      [uuidv4(), name, email, username, hashedPassword]
-    );
-    res.status(201).json(rows[0]);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  // Check if username or email already exists
+  const existing = await pool.query("SELECT * FROM users WHERE (email=$1 OR username=$2) AND role='retailer'", [email, username]);
+  if (existing.rows.length > 0) {
+    return res.status(400).json({ error: 'Email or username already exists' });
   }
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const { rows } = await pool.query(
+    "INSERT INTO users(id, name, email, username, password, role) VALUES($1, $2, $3, $4, $5, 'retailer') RETURNING *",
+    [uuidv4(), name, email, username, hashedPassword]
+  );
+  sendVerification(rows[0]);
+  res.status(201).json(publicUser(rows[0]));
 });
 
 /**
@@ -838,28 +2467,42 @@ app.post('/retailers', async (req, res) => {
  *                 type: string
  *               password:
  *                 type: string
+ *               storefront_url:
+ *                 type: string
+ *                 format: uri
+ *                 pattern: '^https?://'
+ *                 nullable: true
+ *                 description: Where short links of ended campaigns send shoppers
  *     responses:
  *       200:
- *         description: Retailer updated
+ *         description: Retailer updated. Changing email, username or password revokes all of the retailer's tokens.
+ *       403:
+ *         description: Not your account
  *       404:
  *         description: Retailer not found
  */
-app.put('/retailers/:id', async (req, res) => {
-  const { name, email, username, password } = req.body;
+app.put('/retailers/:id', requireRetailerAuth, requireSelf(), validateRequest, async (req, res) => {
+  const { name, email, username, password, storefront_url } = req.body;
   const { id } = req.params;
   const updates = {};
   if (name) updates.name = name;
-  if (email) updates.email = email;
+  // A new address has to be confirmed again
+  if (email) Object.assign(updates, { email, email_verified_at: null });
   if (username) updates.username = username;
   if (password) updates.password = await bcrypt.hash(password, 10);
+  if (storefront_url !== undefined) updates.storefront_url = storefront_url || null;
+  if (Object.keys(updates).length === 0) return res.status(400).json({ error: 'No fields to update' });
   const setClause = Object.keys(updates).map((key, i) => `${key}=$${i + 2}`).join(', ');
-  const values = [...Object.values(updates), id];
+  const values = [id, ...Object.values(updates)];
   const { rows } = await pool.query(
     `UPDATE users SET ${setClause} WHERE id=$1 AND role='retailer' RETURNING *`,
     values
   );
   if (rows.length === 0) return res.status(404).json({ error: 'Retailer not found' });
-  res.json(rows[0]);
+  // Changed login details end every existing session, including this one
+  if (updates.email || updates.username || updates.password) await models.revokeUserSessions(id);
+  if (updates.email) sendVerification(rows[0]);
+  res.json(publicUser(rows[0]));
 });
 
 /**
@@ -878,11 +2521,15 @@ app.put('/retailers/:id', async (req, res) => {
  *     responses:
  *       204:
  *         description: Retailer deleted
+ *       403:
+ *         description: Not your account
  *       404:
  *         description: Retailer not found
  */
-app.delete('/retailers/:id', async (req, res) => {
+app.delete('/retailers/:id', requireRetailerAuth, requireSelf(), async (req, res) => {
   const { id } = req.params;
+  // Refresh tokens cascade with the user row; access tokens fail the
+  // token_version lookup once the user is gone
   const { rowCount } = await pool.query("DELETE FROM users WHERE id=$1 AND role='retailer'", [id]);
   if (rowCount === 0) return res.status(404).json({ error: 'Retailer not found' });
   res.status(204).send();
@@ -904,69 +2551,748 @@ app.delete('/retailers/:id', async (req, res) => {
  *             properties:
  *               username:
  *                 type: string
+ *                 minLength: 1
  *                 example: demo
  *               password:
  *                 type: string
+ *                 minLength: 1
  *                 example: demo
  *     responses:
  *       200:
- *         description: JWT token for authentication
+ *         description: Access and refresh tokens
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
- *                   description: JWT token
+ *               $ref: '#/components/schemas/TokenPair'
  *       400:
- *         description: Username and password required
+ *         $ref: '#/components/responses/InvalidRequest'
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many attempts from this address, or the account is locked after repeated failures
  */
 // Retailer login endpoint
-app.post('/retailers/login', async (req, res) => {
+app.post('/retailers/login', limitLoginByIp, validateRequest, async (req, res) => {
   const { username, password } = req.body;
-  if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
-  const { rows } = await models.pool.query("SELECT * FROM users WHERE username=$1 AND role='retailer'", [username]);
-  if (rows.length === 0) return res.status(401).json({ error: 'Invalid credentials' });
-  const user = rows[0];
-  const match = await bcrypt.compare(password, user.password);
-  if (!match) return res.status(401).json({ error: 'Invalid credentials' });
-  const token = jwt.sign({ id: user.id, role: user.role, email: user.email }, JWT_SECRET, { expiresIn: '1d' });
-  res.json({ token });
-});
-
-// Middleware to check JWT and retailer role
-function requireRetailerAuth(req, res, next) {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith('Bearer ')) return res.status(401).json({ error: 'Missing token' });
+  if (await lockedOut(res, username)) return;
+  const user = await verifyCredentials(username, password, { role: 'retailer' });
+  if (!user) {
+    await loginLockout.recordFailure(username);
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+  await loginLockout.recordSuccess(username);
+  res.json(await issueTokens(user, { userAgent: req.get('user-agent') }));
+});
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in as any role
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [login, password]
+ *             properties:
+ *               login:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: Username or email
+ *               password:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Access and refresh tokens plus the user's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TokenPair'
+ *                 - type: object
+ *                   properties:
+ *                     role: { type: string }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Too many attempts from this address, or the account is locked after repeated failures
+ */
+app.post('/auth/login', limitLoginByIp, validateRequest, async (req, res) => {
+  const { login, password } = req.body;
+  if (await lockedOut(res, login)) return;
+  const user = await verifyCredentials(login, password);
+  if (!user) {
+    await loginLockout.recordFailure(login);
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+  await loginLockout.recordSuccess(login);
+  const tokens = await issueTokens(user, { userAgent: req.get('user-agent') });
+  res.json({ ...tokens, role: user.role });
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the emailed token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string, minLength: 1 }
+ *     responses:
+ *       200: { description: The verified user }
+ *       400: { description: Invalid request, or token invalid or expired }
+ */
+app.post('/auth/verify-email', validateRequest, async (req, res) => {
+  const { token } = req.body;
+  const user = await verifyActionToken(token, 'verify-email');
+  const verified = user && await models.markEmailVerified(user.id, user.email);
+  if (!verified) return res.status(400).json({ error: 'Invalid or expired token' });
+  res.json(publicUser(verified));
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Email a new verification link to the logged-in user
+ *     tags: [Auth]
+ *     responses:
+ *       202: { description: Verification email queued }
+ *       401: { description: Missing or invalid token }
+ *       403: { description: API keys cannot access this endpoint }
+ *       409: { description: Email already verified }
+ */
+app.post('/auth/resend-verification', requireSession, async (req, res) => {
+  const user = await models.getUserById(req.user.id);
+  if (user.email_verified_at) return res.status(409).json({ error: 'Email already verified' });
+  sendVerification(user);
+  res.status(202).json({ message: 'Verification email sent' });
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always answers 202 so the response does not reveal whether the address has an account.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, minLength: 1 }
+ *     responses:
+ *       202: { description: Reset email sent if the account exists }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ */
+app.post('/auth/forgot-password', validateRequest, async (req, res) => {
+  const { email } = req.body;
+  const user = await models.getUserByEmail(email);
+  // Only accounts that can log in have a password to reset
+  if (user && user.password) {
+    mailer.sendPasswordResetEmail(user, signActionToken(user, 'reset-password'))
+      .catch(err => req.log.error('Password reset email failed', { user_id: user.id }, err));
+  }
+  res.status(202).json({ message: 'If the address has an account, a reset link is on its way' });
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the emailed reset token
+ *     description: The token works once. All existing sessions are revoked.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token: { type: string, minLength: 1 }
+ *               password: { type: string, minLength: 1 }
+ *     responses:
+ *       204: { description: Password changed }
+ *       400: { description: Invalid request, or token invalid, expired or already used }
+ */
+app.post('/auth/reset-password', validateRequest, async (req, res) => {
+  const { token, password } = req.body;
+  const user = await verifyActionToken(token, 'reset-password');
+  if (!user) return res.status(400).json({ error: 'Invalid or expired token' });
+  await models.resetUserPassword(user.id, await bcrypt.hash(password, 10));
+  res.status(204).send();
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: The refresh token is single-use. Presenting one that was already exchanged revokes every token issued from the same login.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token: { type: string, minLength: 1 }
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401: { description: Refresh token invalid, expired or revoked }
+ */
+app.post('/auth/refresh', validateRequest, async (req, res) => {
+  const { refresh_token } = req.body;
+  const tokens = await rotateRefreshToken(refresh_token, { userAgent: req.get('user-agent') });
+  if (!tokens) return res.status(401).json({ error: 'Invalid refresh token' });
+  res.json(tokens);
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token: { type: string, minLength: 1 }
+ *     responses:
+ *       204: { description: Logged out }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401: { description: Missing or invalid token }
+ *       403: { description: API keys cannot access this endpoint }
+ */
+app.post('/auth/logout', requireSession, validateRequest, async (req, res) => {
+  const { refresh_token } = req.body;
+  // Unknown or foreign tokens are ignored so logout can't be used to probe them
+  await revokeSession(refresh_token, req.user.id);
+  res.status(204).send();
+});
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     description: Revokes all refresh tokens and invalidates all access tokens of the caller, including the one used for this request.
+ *     tags: [Auth]
+ *     responses:
+ *       204: { description: All sessions revoked }
+ *       401: { description: Missing or invalid token }
+ *       403: { description: API keys cannot access this endpoint }
+ */
+app.post('/auth/logout-all', requireSession, async (req, res) => {
+  await models.revokeUserSessions(req.user.id);
+  res.status(204).send();
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get the logged-in user
+ *     tags: [Auth]
+ *     responses:
+ *       200: { description: User object }
+ *       401: { description: Missing or invalid token }
+ *       403: { description: API keys cannot access this endpoint }
+ */
+app.get('/auth/me', requireSession, async (req, res) => {
+  const user = await models.getUserById(req.user.id);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  res.json(publicUser(user));
+});
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: List users
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema: { type: string, enum: [customer, advertiser, distributor, retailer, admin] }
+ *     responses:
+ *       200: { description: Array of users }
+ *       403: { description: Admins only }
+ *   post:
+ *     summary: Create a user with any role
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, email, role]
+ *             properties:
+ *               name: { type: string, minLength: 1 }
+ *               email: { type: string, minLength: 1 }
+ *               username: { type: string }
+ *               password: { type: string }
+ *               role: { type: string, enum: [customer, advertiser, distributor, retailer, admin] }
+ *     responses:
+ *       201: { description: User created }
+ *       400: { description: Invalid request, or the email or username is taken }
+ *       403: { description: Admins only }
+ */
+app.get('/users', requireAdmin, validateRequest, async (req, res) => {
+  const users = await models.getAllUsers(req.query.role);
+  res.json(users.map(publicUser));
+});
+
+app.post('/users', requireAdmin, validateRequest, async (req, res) => {
+  const { name, email, username, password, role } = req.body;
+  const existing = await pool.query('SELECT 1 FROM users WHERE email=$1 OR username=$2', [email, username || null]);
+  if (existing.rows.length > 0) return res.status(400).json({ error: 'Email or username already exists' });
+  const user = await models.createUser({
+    name,
+    email,
+    username,
+    password: password ? await bcrypt.hash(password, 10) : null,
+    role
+  });
+  res.status(201).json(publicUser(user));
+});
+
+// Whether a user may see an order: its customer, the distributor of its
+// product, the retailer it was placed with, or an admin
+async function canViewOrder(user, order) {
+  if (user.role === 'admin') return true;
+  if (user.role === 'customer') return order.customer_id === user.id;
+  if (user.role === 'retailer') return order.retailer_id === user.id;
+  if (user.role === 'distributor') {
+    const product = await models.getProductById(order.product_id);
+    return Boolean(product && product.distributor_id === user.id);
+  }
+  return false;
+}
+
+// Mail failures are logged rather than failing the request; the user can
+// ask for another link via /auth/resend-verification
+function sendVerification(user) {
+  mailer.sendVerificationEmail(user, signActionToken(user, 'verify-email'))
+    .catch(err => logger.error('Verification email failed', { user_id: user.id }, err));
+}
+
+// Figures compared between funnels
+const FUNNEL_FIGURES = [
+  'scans', 'unique_scanners', 'product_views', 'orders', 'conversion_rate',
+  'revenue', 'commission', 'commission_paid', 'median_seconds_to_purchase'
+];
+
+async function campaignFunnel({ campaign, from, to }, includeFlagged) {
+  if (from && to && from >= to) throw new ValidationError('from must be before to');
+  const figures = await models.getCampaignFunnel(campaign.id, { from, to, includeFlagged });
+  return {
+    campaign_id: campaign.id,
+    campaign_name: campaign.campaign_name,
+    from,
+    to,
+    ...figures,
+    conversion_rate: figures.unique_scanners ? Math.round(figures.orders / figures.unique_scanners * 10000) / 10000 : null
+  };
+}
+
+function funnelChange(funnel, comparison) {
+  const change = {};
+  for (const figure of FUNNEL_FIGURES) {
+    const [now, before] = [funnel[figure], comparison[figure]];
+    change[figure] = now == null || !before ? null : Math.round((now - before) / before * 10000) / 10000;
+  }
+  return change;
+}
+
+// Optional date-time query value (already format-checked by validateRequest)
+function dateParam(value) {
+  return value ? new Date(value) : null;
+}
+
+// Tenant, campaign, date range and flag filters shared by the geo routes
+function scanScope(req) {
+  const scope = {
+    retailer_id: tenantId(req.user),
+    campaign_id: req.query.campaign_id || null,
+    from: dateParam(req.query.from),
+    to: dateParam(req.query.to),
+    includeFlagged: req.query.include_flagged === 'true'
+  };
+  if (scope.from && scope.to && scope.from >= scope.to) throw new ValidationError('from must be before to');
+  return scope;
+}
+
+// `west,south,east,north` in degrees, or null when not given
+function bboxParam(value) {
+  if (!value) return null;
+  const parts = value.split(',').map(Number);
+  const [west, south, east, north] = parts;
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part)) ||
+      west < -180 || east > 180 || south < -90 || north > 90 || west >= east || south >= north) {
+    throw new ValidationError('Invalid bbox', [{ in: 'query', field: 'bbox', message: 'must be west,south,east,north in degrees' }]);
+  }
+  return { west, south, east, north };
+}
+
+function checkTimeZone(tz) {
+  if (tz !== undefined && !isTimeZone(tz)) {
+    throw new ValidationError('Unknown time zone', [{ in: 'body', field: 'timezone', message: 'must be an IANA time zone' }]);
+  }
+}
+
+function isTimeZone(tz) {
   try {
-    const payload = jwt.verify(auth.split(' ')[1], JWT_SECRET);
-    if (payload.role !== 'retailer') return res.status(403).json({ error: 'Retailer access only' });
-    req.user = payload;
-    next();
+    new Intl.DateTimeFormat('en', { timeZone: tz });
+    return true;
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' });
+    return false;
   }
 }
 
-// Protect all /retailers endpoints
-app.use('/retailers', requireRetailerAuth);
+// Stores a scan and counts it for /metrics
+async function recordScan(fields) {
+  const scan = await models.createScan(fields);
+  scansRecorded.inc({ source: scan.scan_source || 'unknown' });
+  return scan;
+}
 
-// Protect all campaign modification endpoints
-app.post('/campaigns', requireRetailerAuth, async (req, res, next) => next());
-app.put('/campaigns/:id', requireRetailerAuth, async (req, res, next) => next());
-app.delete('/campaigns/:id', requireRetailerAuth, async (req, res, next) => next());
+// Unverified retailers may prepare draft campaigns but not put them live
+async function publishingBlocked(user) {
+  if (user.role === 'admin') return false;
+  const account = await models.getUserById(user.id);
+  return !account || !account.email_verified_at;
+}
 
-// Protect all product modification endpoints
-app.post('/products', requireRetailerAuth, async (req, res, next) => next());
-app.put('/products/:id', requireRetailerAuth, async (req, res, next) => next());
-app.delete('/products/:id', requireRetailerAuth, async (req, res, next) => next());
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: List the caller's API keys
+ *     description: Keys are never shown again after creation; the prefix identifies them.
+ *     tags: [API Keys]
+ *     responses:
+ *       200: { description: Array of keys with name, prefix, scopes, last_used_at and revoked_at }
+ *       401: { description: Missing or invalid token }
+ *   post:
+ *     summary: Create an API key
+ *     tags: [API Keys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name: { type: string, minLength: 1, example: Store POS }
+ *               scopes:
+ *                 type: array
+ *                 minItems: 1
+ *                 items: { type: string, enum: [read-only, scans-write, orders-write] }
+ *     responses:
+ *       201: { description: The key record plus `key`, which is only returned this once }
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ */
+app.get('/api-keys', requireRetailerAuth, async (req, res) => {
+  res.json(await models.getApiKeysByUser(req.user.id));
+});
+
+app.post('/api-keys', requireRetailerAuth, validateRequest, async (req, res) => {
+  const { name, scopes } = req.body;
+  const { key, prefix, key_hash } = generateApiKey();
+  const record = await models.createApiKey({ user_id: req.user.id, name, prefix, key_hash, scopes: [...new Set(scopes)] });
+  res.status(201).json({ ...record, key });
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: The revoked key }
+ *       404: { description: Not found }
+ */
+app.delete('/api-keys/:id', requireRetailerAuth, async (req, res) => {
+  const revoked = isUuid(req.params.id) && await models.revokeApiKey(req.params.id, req.user.id);
+  if (!revoked) return res.status(404).json({ error: 'Not found' });
+  res.json(revoked);
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List the caller's webhook endpoints
+ *     tags: [Webhooks]
+ *     responses:
+ *       200: { description: Array of endpoints (without secrets) }
+ *   post:
+ *     summary: Register a webhook endpoint
+ *     description: >
+ *       Events are POSTed as JSON `{ id, type, created_at, data }` with the headers
+ *       X-GlassCart-Event, X-GlassCart-Delivery and X-GlassCart-Signature
+ *       (`t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">` keyed with the
+ *       endpoint secret). Anything but a 2xx response is retried with exponential
+ *       backoff. URLs that resolve to loopback, private or link-local addresses are
+ *       refused, and production only accepts https. Run `npm run webhooks:receive`
+ *       for a local test receiver, with WEBHOOK_ALLOWED_HOSTS=localhost.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url: { type: string, example: 'https://pos.example.com/glasscart' }
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   enum: [scan.created, order.created, order.status_changed, payout.created, campaign.ended]
+ *     responses:
+ *       201: { description: The endpoint including its signing `secret`, which is only returned this once }
+ *       400: { description: Invalid or internal URL, or unknown event }
+ */
+app.get('/webhooks', requireRetailerAuth, async (req, res) => {
+  res.json(await models.getWebhookEndpointsByUser(req.user.id));
+});
+
+app.post('/webhooks', requireRetailerAuth, validateRequest, async (req, res) => {
+  const { url, events } = req.body;
+  const problem = await destinationProblem(url);
+  if (problem) return res.status(400).json({ error: problem });
+  const endpoint = await models.createWebhookEndpoint({
+    user_id: req.user.id,
+    url: new URL(url).href,
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    events: [...new Set(events)]
+  });
+  res.status(201).json(endpoint);
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Remove a webhook endpoint and its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204: { description: Removed }
+ *       404: { description: Not found }
+ */
+app.delete('/webhooks/:id', requireRetailerAuth, async (req, res) => {
+  const deleted = isUuid(req.params.id) && await models.deleteWebhookEndpoint(req.params.id, req.user.id);
+  if (!deleted) return res.status(404).json({ error: 'Not found' });
+  res.status(204).send();
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of an endpoint, newest first
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, minimum: 1, maximum: 500 }
+ *     responses:
+ *       200: { description: Deliveries with status, attempts, response_status and last_error }
+ *       404: { description: Not found }
+ */
+app.get('/webhooks/:id/deliveries', requireRetailerAuth, validateRequest, async (req, res) => {
+  const endpoint = isUuid(req.params.id) && await models.getWebhookEndpoint(req.params.id, req.user.id);
+  if (!endpoint) return res.status(404).json({ error: 'Not found' });
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json(await models.getWebhookDeliveries(endpoint.id, { limit }));
+});
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{id}/redeliver:
+ *   post:
+ *     summary: Send a past delivery again
+ *     description: Queues a new delivery of the same event (same event id) and returns it.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       202: { description: The new delivery }
+ *       404: { description: Not found }
+ */
+app.post('/webhooks/deliveries/:id/redeliver', requireRetailerAuth, async (req, res) => {
+  const delivery = isUuid(req.params.id) && await models.redeliverWebhook(req.params.id, req.user.id);
+  if (!delivery) return res.status(404).json({ error: 'Not found' });
+  res.status(202).json(delivery);
+});
+
+function parseTrustProxy(value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value; // address list / named subnets, passed through to Express
+}
+
+// Rate limit key: the API key for integrations, otherwise the client address
+function clientKey(req) {
+  return req.user && req.user.api_key_id ? `key:${req.user.api_key_id}` : req.ip;
+}
 
-// Protect analytics scan summary for campaign to only allow the owning retailer
-app.get('/analytics/scans/summary/campaign/:campaignId', requireRetailerAuth, async (req, res, next) => next());
+function ipHash(req) {
+  return crypto.createHmac('sha256', SCAN_HASH_SECRET).update(req.ip || '').digest('hex');
+}
+
+// Run the scan quality checks against the device's and address's history
+async function scoreScan(scan, campaign, { exclude_id = null, device_hash = null, ip_hash = null }) {
+  const context = await models.getScanQualityContext({
+    exclude_id,
+    device_hash,
+    ip_hash,
+    scanned_at: scan.scanned_at,
+    ipWindowSeconds: IP_BURST_SECONDS
+  });
+  return assessScan({ scan, campaign, ...context });
+}
+
+// Distances from a scan's coordinates to the retailer's nearest store and the
+// campaign's nearest placement, and whether that store was open at scanned_at.
+// Every value is null when the scan has no coordinates or nothing is registered.
+async function scanProximity(campaign, coords, scanned_at) {
+  if (!coords || coords.lat == null || coords.lon == null) return {};
+  const [store, placement] = await Promise.all([
+    campaign.retailer_id ? models.getNearestStore(campaign.retailer_id, coords) : null,
+    models.getNearestPlacement(campaign.id, coords)
+  ]);
+  return {
+    nearest_store_id: store ? store.id : null,
+    distance_to_store_m: store ? Math.round(store.distance_m) : null,
+    store_open: store ? isOpenAt(store.opening_hours, store.timezone, scanned_at) : null,
+    nearest_placement_id: placement ? placement.id : null,
+    distance_to_placement_m: placement ? Math.round(placement.distance_m) : null
+  };
+}
+
+// Public short link of a campaign, or of one of its placements
+function shortLinkFor(campaign, placement = null) {
+  const link = `${BASE_URL}/w/${encodeURIComponent(campaign.qr_code_identifier)}`;
+  return placement ? `${link}/${encodeURIComponent(placement.identifier)}` : link;
+}
+
+// A placement with its short link and QR code URLs
+function withPlacementLinks(campaign, placement) {
+  const qrUrl = `${BASE_URL}/qrcode/${campaign.id}?placement=${placement.id}`;
+  return {
+    ...placement,
+    short_link: shortLinkFor(campaign, placement),
+    qr_png_url: `${qrUrl}&format=png`,
+    qr_svg_url: `${qrUrl}&format=svg`
+  };
+}
+
+// Identifies a device for duplicate-scan suppression without storing its address
+function deviceHash(req, userAgent) {
+  return crypto.createHmac('sha256', SCAN_HASH_SECRET).update(`${req.ip}|${userAgent || ''}`).digest('hex');
+}
+
+async function lockedOut(res, login) {
+  const seconds = await loginLockout.lockedFor(login);
+  if (!seconds) return false;
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+  return true;
+}
+
+// Strip credentials before returning a user record
+function publicUser(user) {
+  const { password, ...rest } = user;
+  return rest;
+}
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: >
+ *       Request counts and latency, Postgres pool usage and query latency, scan
+ *       ingest and enrichment failures (see metrics.js). Requires the METRICS_TOKEN
+ *       as a Bearer token when one is configured.
+ *     responses:
+ *       200:
+ *         description: Metrics in the Prometheus text format
+ *         content:
+ *           text/plain: {}
+ *       401: { description: Missing or invalid metrics token }
+ */
+app.get('/metrics', metricsHandler);
+
+// Unmatched routes and anything thrown by a handler (see errors.js)
+app.use(notFound);
+app.use(errorHandler);
+
+// Start server when run directly; tests require the app and listen themselves
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => logger.info(`Server running on port ${PORT}`, { port: Number(PORT) }));
+}
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+module.exports = app;
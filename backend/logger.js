@@ -0,0 +1,62 @@
+// logger.js
+// Structured logging: one JSON object per line on stdout, e.g.
+//   {"time":"2025-01-01T00:00:00.000Z","level":"info","msg":"request","request_id":"...","status":200}
+// Loggers keep console's call style, so services that take a `log` option
+// can be handed one: strings are joined into `msg`, plain objects are merged
+// in as fields and Errors are logged under `err` with their stack.
+//
+//   LOG_LEVEL   debug | info | warn | error   (default info)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', fields = {}, write = line => process.stdout.write(line) } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function log(levelName, args) {
+    if (LEVELS[levelName] < threshold) return;
+    const words = [];
+    const extra = {};
+    for (const arg of args) {
+      if (arg instanceof Error) extra.err = serializeError(arg);
+      else if (arg && typeof arg === 'object' && !Array.isArray(arg)) Object.assign(extra, arg);
+      else words.push(typeof arg === 'string' ? arg : JSON.stringify(arg));
+    }
+    const entry = { time: new Date().toISOString(), level: levelName, msg: words.join(' '), ...fields, ...extra };
+    if (entry.err instanceof Error) entry.err = serializeError(entry.err);
+    write(JSON.stringify(entry) + '\n');
+  }
+
+  const logger = {
+    // A logger that adds `more` to every entry, e.g. { request_id }
+    child: more => createLogger({ level, fields: { ...fields, ...more }, write })
+  };
+  for (const name of Object.keys(LEVELS)) logger[name] = (...args) => log(name, args);
+  logger.log = logger.info;
+  return logger;
+}
+
+const logger = createLogger();
+
+// Logs each finished request and gives handlers req.log, a logger carrying
+// the request id. Runs after requestId (see errors.js).
+function logRequests(req, res, next) {
+  const started = process.hrtime.bigint();
+  req.log = logger.child({ request_id: req.id });
+  res.on('finish', () => {
+    const entry = {
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : null,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10
+    };
+    if (req.user) Object.assign(entry, { user_id: req.user.id, api_key_id: req.user.api_key_id });
+    req.log[res.statusCode >= 500 ? 'error' : 'info']('request', entry);
+  });
+  next();
+}
+
+module.exports = { createLogger, logger, logRequests };
@@ -0,0 +1,69 @@
+// mailer/index.js
+// Outgoing account mail (email verification, password resets). The transport
+// is chosen by config so development and tests never need a mail server.
+//
+//   MAILER            smtp | file | memory
+//                     (default smtp when SMTP_HOST is set, otherwise file)
+//   MAIL_FROM         sender address (default no-reply@glasscart.local)
+//   MAIL_OUTBOX_DIR   where the file mailer writes messages (default ./outbox)
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   NODE_ENV=test     defaults to the memory outbox
+const path = require('path');
+const { createSmtpTransport } = require('./smtp');
+const { createMemoryOutbox, createFileOutbox } = require('./outbox');
+
+const TRANSPORTS = {
+  smtp: env => createSmtpTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || undefined,
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS
+  }),
+  file: env => createFileOutbox({ dir: env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox') }),
+  memory: () => createMemoryOutbox()
+};
+
+function transportFromEnv(env = process.env) {
+  const fallback = env.NODE_ENV === 'test' ? 'memory' : (env.SMTP_HOST ? 'smtp' : 'file');
+  const name = env.MAILER || fallback;
+  if (!Object.hasOwn(TRANSPORTS, name)) {
+    throw new Error(`Unknown mailer "${name}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return TRANSPORTS[name](env);
+}
+
+function createMailer({ transport, from = process.env.MAIL_FROM || 'no-reply@glasscart.local', appUrl }) {
+  async function send({ to, subject, text }) {
+    return transport.send({ from, to, subject, text });
+  }
+
+  return {
+    transport: transport.name,
+    // Only the memory transport keeps messages around to inspect
+    outbox: transport.messages,
+    send,
+
+    sendVerificationEmail(user, token) {
+      const link = `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+      return send({
+        to: user.email,
+        subject: 'Confirm your GlassCart email address',
+        text: `Hi ${user.name || ''},\n\nConfirm your email address to start publishing campaigns:\n\n${link}\n\n` +
+          'If you did not create a GlassCart account you can ignore this message.\n'
+      });
+    },
+
+    sendPasswordResetEmail(user, token) {
+      const link = `${appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+      return send({
+        to: user.email,
+        subject: 'Reset your GlassCart password',
+        text: `Hi ${user.name || ''},\n\nUse this link to choose a new password. It expires in one hour and works once:\n\n${link}\n\n` +
+          'If you did not ask for a reset you can ignore this message; your password is unchanged.\n'
+      });
+    }
+  };
+}
+
+module.exports = { createMailer, transportFromEnv };
@@ -0,0 +1,37 @@
+// mailer/outbox.js
+// Transports that keep mail local instead of sending it. The memory outbox
+// holds messages in an array for tests; the file outbox writes one JSON file
+// per message so links can be copied out during development.
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+function createMemoryOutbox() {
+  const messages = [];
+  return {
+    name: 'memory',
+    messages,
+    async send(message) {
+      const id = uuidv4();
+      messages.push({ id, sent_at: new Date().toISOString(), ...message });
+      return { id };
+    }
+  };
+}
+
+function createFileOutbox({ dir }) {
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      const id = uuidv4();
+      const sentAt = new Date().toISOString();
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${sentAt.replace(/[:.]/g, '-')}-${id}.json`);
+      await fs.writeFile(file, JSON.stringify({ id, sent_at: sentAt, ...message }, null, 2));
+      return { id };
+    }
+  };
+}
+
+module.exports = { createMemoryOutbox, createFileOutbox };
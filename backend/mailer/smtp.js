@@ -0,0 +1,22 @@
+// mailer/smtp.js
+// Delivery through an SMTP relay via nodemailer
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  if (!host) throw new Error('SMTP_HOST is required for the smtp mailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure: Boolean(secure),
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,150 @@
+// metrics.js
+// Prometheus metrics, served in the text format by GET /metrics. Besides the
+// default process metrics (glasscart_process_*, glasscart_nodejs_*):
+//
+//   glasscart_http_requests_total               requests by method, route and status
+//   glasscart_http_request_duration_seconds     latency by method and route
+//   glasscart_db_pool_connections               pool clients by state (total, idle, waiting)
+//   glasscart_db_query_duration_seconds         Postgres query latency
+//   glasscart_db_slow_queries_total             queries slower than SLOW_QUERY_MS
+//   glasscart_scans_recorded_total              scans stored, by scan_source
+//   glasscart_scans_deduplicated_total          repeat scans folded into an earlier one
+//   glasscart_enrichment_failures_total         failed provider lookups by kind and provider
+//
+//   METRICS_TOKEN   when set, /metrics requires it as a Bearer token
+//   SLOW_QUERY_MS   queries taking longer are logged and counted (default 500)
+const client = require('prom-client');
+const { logger } = require('./logger');
+
+const SLOW_QUERY_MS = parseInt(process.env.SLOW_QUERY_MS, 10) || 500;
+const PREFIX = 'glasscart_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const httpRequests = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+const httpDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request latency by method and route',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+const queryDuration = new client.Histogram({
+  name: `${PREFIX}db_query_duration_seconds`,
+  help: 'Postgres query latency',
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+const slowQueries = new client.Counter({
+  name: `${PREFIX}db_slow_queries_total`,
+  help: `Postgres queries slower than ${SLOW_QUERY_MS}ms`,
+  registers: [register]
+});
+const scansRecorded = new client.Counter({
+  name: `${PREFIX}scans_recorded_total`,
+  help: 'Scans stored, by scan source',
+  labelNames: ['source'],
+  registers: [register]
+});
+const scansDeduplicated = new client.Counter({
+  name: `${PREFIX}scans_deduplicated_total`,
+  help: 'Repeat scans from one device folded into an earlier scan',
+  registers: [register]
+});
+
+// Counts requests once they finish. Unmatched paths share one route label
+// so probes for random URLs can't blow up the series count.
+function observeRequests(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : '(unmatched)';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    end({ method: req.method, route });
+  });
+  next();
+}
+
+// Times every query run through the pool (pool.query borrows a client too)
+// and logs slow ones. Only the SQL text is logged, never the values.
+function instrumentClient(dbClient, log) {
+  const query = dbClient.query;
+  dbClient.query = function instrumentedQuery(...args) {
+    const started = process.hrtime.bigint();
+    const done = () => {
+      const ms = Number(process.hrtime.bigint() - started) / 1e6;
+      queryDuration.observe(ms / 1000);
+      if (ms < SLOW_QUERY_MS) return;
+      slowQueries.inc();
+      const text = typeof args[0] === 'string' ? args[0] : args[0] && args[0].text;
+      log.warn('slow query', { duration_ms: Math.round(ms), query: String(text || '').replace(/\s+/g, ' ').trim().slice(0, 500) });
+    };
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      args[args.length - 1] = function (...results) {
+        done();
+        return callback.apply(this, results);
+      };
+      return query.apply(this, args);
+    }
+    const result = query.apply(this, args);
+    if (result && typeof result.then === 'function') result.then(done, done);
+    return result;
+  };
+}
+
+function trackPool(pool, { log = logger } = {}) {
+  pool.on('connect', dbClient => instrumentClient(dbClient, log));
+  new client.Gauge({
+    name: `${PREFIX}db_pool_connections`,
+    help: 'Postgres pool clients by state',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+      this.set({ state: 'total' }, pool.totalCount);
+      this.set({ state: 'idle' }, pool.idleCount);
+      this.set({ state: 'waiting' }, pool.waitingCount);
+    }
+  });
+}
+
+// Reads the enrichment service's own failure tally at scrape time
+function trackEnrichment(service) {
+  new client.Counter({
+    name: `${PREFIX}enrichment_failures_total`,
+    help: 'Failed enrichment provider lookups by kind and provider',
+    labelNames: ['kind', 'provider'],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const [key, count] of Object.entries(service.stats.failures)) {
+        const [kind, provider] = key.split(':');
+        this.inc({ kind, provider }, count);
+      }
+    }
+  });
+}
+
+async function metricsHandler(req, res) {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Missing or invalid metrics token' });
+  }
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+}
+
+module.exports = {
+  register,
+  scansRecorded,
+  scansDeduplicated,
+  observeRequests,
+  trackPool,
+  trackEnrichment,
+  metricsHandler
+};
@@ -0,0 +1,155 @@
+// migrate.js
+// Versioned schema migrations. Each file in ./migrations is named
+// NNN_description.js and exports async up(client) / down(client).
+//
+//   node migrate.js up          apply every pending migration
+//   node migrate.js down [n]    roll back the last n migrations (default 1)
+//   node migrate.js status      list applied and pending migrations
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Arbitrary key so two deploys can't run migrations at the same time
+const LOCK_KEY = 482915;
+
+function createPool() {
+  return new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ...(process.env.NODE_ENV === 'production' ? { ssl: { rejectUnauthorized: false } } : {})
+  });
+}
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version, 10),
+      name,
+      file,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(r => r.version);
+}
+
+// Runs fn with a dedicated client holding the migration lock
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+async function migrateUp(pool, log = console.log) {
+  return withLock(pool, async client => {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = loadMigrations().filter(m => !applied.has(m.version));
+    for (const m of pending) {
+      log(`▶️ Applying ${m.file}…`);
+      await runInTransaction(client, async () => {
+        await m.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations(version, name) VALUES($1, $2)',
+          [m.version, m.name]
+        );
+      });
+    }
+    return pending.map(m => m.file);
+  });
+}
+
+async function migrateDown(pool, steps = 1, log = console.log) {
+  return withLock(pool, async client => {
+    const applied = await getAppliedVersions(client);
+    const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+    const targets = applied.slice(-steps).reverse();
+    for (const version of targets) {
+      const m = byVersion.get(version);
+      if (!m) throw new Error(`Migration file for applied version ${version} is missing`);
+      log(`▶️ Reverting ${m.file}…`);
+      await runInTransaction(client, async () => {
+        await m.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version=$1', [version]);
+      });
+    }
+    return targets.map(v => byVersion.get(v).file);
+  });
+}
+
+async function migrationStatus(pool) {
+  return withLock(pool, async client => {
+    const { rows } = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(r => [r.version, r.applied_at]));
+    return loadMigrations().map(m => ({
+      version: m.version,
+      file: m.file,
+      applied_at: appliedAt.get(m.version) || null
+    }));
+  });
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const pool = createPool();
+  try {
+    if (command === 'up') {
+      const done = await migrateUp(pool);
+      console.log(done.length ? `✅ Applied ${done.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('down expects a positive step count');
+      const done = await migrateDown(pool, steps);
+      console.log(`✅ Reverted ${done.length} migration(s)`);
+    } else if (command === 'status') {
+      for (const m of await migrationStatus(pool)) {
+        const state = m.applied_at ? `applied ${m.applied_at.toISOString()}` : 'pending';
+        console.log(`${m.file.padEnd(40)} ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } catch (err) {
+    console.error('❌ Migration error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus, loadMigrations };
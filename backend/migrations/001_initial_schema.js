@@ -0,0 +1,109 @@
+// migrations/001_initial_schema.js
+// Baseline schema: the tables seed.js used to drop and recreate on every run.
+// IF NOT EXISTS lets databases created by the old seed script adopt it as-is.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id UUID PRIMARY KEY,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL UNIQUE,
+      username TEXT UNIQUE,
+      password TEXT,
+      role TEXT NOT NULL CHECK(role IN ('customer','advertiser','distributor','retailer','admin')),
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS products (
+      id UUID PRIMARY KEY,
+      distributor_id UUID REFERENCES users(id),
+      retailer_id UUID REFERENCES users(id),
+      name TEXT NOT NULL,
+      price NUMERIC NOT NULL,
+      description TEXT,
+      image_url TEXT,
+      stock_quantity INTEGER NOT NULL,
+      product_url TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id UUID PRIMARY KEY,
+      retailer_id UUID REFERENCES users(id),
+      product_id   UUID REFERENCES products(id),
+      campaign_name TEXT NOT NULL,
+      start_date    TIMESTAMPTZ,
+      end_date      TIMESTAMPTZ,
+      qr_code_identifier TEXT NOT NULL UNIQUE,
+      commission_percent INTEGER NOT NULL,
+      location      TEXT,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS orders (
+      id UUID PRIMARY KEY,
+      customer_id UUID REFERENCES users(id),
+      product_id  UUID REFERENCES products(id),
+      campaign_id UUID REFERENCES campaigns(id),
+      retailer_id UUID REFERENCES users(id),
+      quantity    INTEGER NOT NULL,
+      total_amount NUMERIC NOT NULL,
+      commission_amount NUMERIC NOT NULL,
+      shipping_address TEXT NOT NULL,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS payouts (
+      id UUID PRIMARY KEY,
+      recipient_id UUID REFERENCES users(id),
+      order_id     UUID REFERENCES orders(id),
+      amount       NUMERIC NOT NULL,
+      type         TEXT NOT NULL CHECK(type IN ('advertiser_commission','distributor_revenue')),
+      created_at   TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS analytics (
+      id UUID PRIMARY KEY,
+      adlocation TEXT NOT NULL,
+      format     TEXT NOT NULL,
+      clicks     INTEGER DEFAULT 0,
+      conversions INTEGER DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS scans (
+      id UUID PRIMARY KEY,
+      campaign_id UUID REFERENCES campaigns(id),
+      scanned_at  TIMESTAMPTZ NOT NULL,
+      lat         NUMERIC NOT NULL,
+      lon         NUMERIC NOT NULL,
+      city        TEXT,
+      suburb      TEXT,
+      region      TEXT,
+      weather     JSONB,
+      distance_to_store_m INTEGER,
+      nearest_poi TEXT,
+      distance_to_poi_m INTEGER,
+      user_agent  TEXT,
+      converted_order_id UUID REFERENCES orders(id),
+      device_type TEXT,
+      referrer    TEXT,
+      scan_source TEXT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS scans CASCADE;
+    DROP TABLE IF EXISTS analytics CASCADE;
+    DROP TABLE IF EXISTS payouts CASCADE;
+    DROP TABLE IF EXISTS orders CASCADE;
+    DROP TABLE IF EXISTS campaigns CASCADE;
+    DROP TABLE IF EXISTS products CASCADE;
+    DROP TABLE IF EXISTS users CASCADE;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// migrations/002_nullable_scan_coords.js
+// The /w/ redirect records a scan before the browser has reported any
+// location, so coordinates become optional and are attached later.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE scans ALTER COLUMN lat DROP NOT NULL;
+    ALTER TABLE scans ALTER COLUMN lon DROP NOT NULL;
+  `);
+}
+
+async function down(client) {
+  // Scans without coordinates cannot satisfy the old constraint
+  await client.query(`
+    DELETE FROM scans WHERE lat IS NULL OR lon IS NULL;
+    ALTER TABLE scans ALTER COLUMN lat SET NOT NULL;
+    ALTER TABLE scans ALTER COLUMN lon SET NOT NULL;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// migrations/003_payout_ledger.js
+// Campaigns name the advertiser who earns their commission, and payouts
+// track whether they have been paid out yet.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE campaigns ADD COLUMN advertiser_id UUID REFERENCES users(id);
+
+    ALTER TABLE payouts
+      ADD COLUMN status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','paid')),
+      ADD COLUMN paid_at TIMESTAMPTZ;
+
+    CREATE INDEX payouts_recipient_idx ON payouts(recipient_id, created_at DESC);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS payouts_recipient_idx;
+    ALTER TABLE payouts DROP COLUMN paid_at, DROP COLUMN status;
+    ALTER TABLE campaigns DROP COLUMN advertiser_id;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// migrations/004_order_status.js
+// Order lifecycle: a status column, an append-only history of transitions,
+// and a link from reversal payouts back to the payout they cancel out.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE orders ADD COLUMN status TEXT NOT NULL DEFAULT 'pending'
+      CHECK(status IN ('pending','paid','fulfilled','shipped','cancelled','refunded'));
+
+    CREATE TABLE order_status_history (
+      id          UUID PRIMARY KEY,
+      order_id    UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      from_status TEXT,
+      to_status   TEXT NOT NULL,
+      actor_id    UUID REFERENCES users(id) ON DELETE SET NULL,
+      note        TEXT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX order_status_history_order_idx ON order_status_history(order_id, created_at);
+
+    ALTER TABLE payouts ADD COLUMN reverses_payout_id UUID REFERENCES payouts(id);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE payouts DROP COLUMN reverses_payout_id;
+    DROP TABLE IF EXISTS order_status_history;
+    ALTER TABLE orders DROP COLUMN status;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// migrations/005_campaign_status.js
+// Campaign lifecycle: a publishing status, a per-campaign fallback target for
+// short links that are no longer live, and soft deletion for campaigns whose
+// scans and orders must be kept.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE campaigns
+      ADD COLUMN status TEXT NOT NULL DEFAULT 'active'
+        CHECK(status IN ('draft','active','paused','archived')),
+      ADD COLUMN fallback_url TEXT,
+      ADD COLUMN deleted_at TIMESTAMPTZ;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE campaigns
+      DROP COLUMN deleted_at,
+      DROP COLUMN fallback_url,
+      DROP COLUMN status;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// migrations/006_campaign_schedule.js
+// Campaign scheduling: a "coming soon" target for short links hit before the
+// start date, a retailer storefront to fall back to once a campaign ends,
+// and flags on scans that should not count toward campaign performance.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE campaigns ADD COLUMN coming_soon_url TEXT;
+    ALTER TABLE users ADD COLUMN storefront_url TEXT;
+    ALTER TABLE scans ADD COLUMN flags TEXT[] NOT NULL DEFAULT '{}';
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE scans DROP COLUMN flags;
+    ALTER TABLE users DROP COLUMN storefront_url;
+    ALTER TABLE campaigns DROP COLUMN coming_soon_url;
+  `);
+}
+
+module.exports = { up, down };
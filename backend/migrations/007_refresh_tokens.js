@@ -0,0 +1,32 @@
+// migrations/007_refresh_tokens.js
+// Server-side refresh tokens (stored as SHA-256 hashes) and a per-user token
+// version that access tokens embed, so bumping it revokes them all at once.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE refresh_tokens (
+      id          UUID PRIMARY KEY,
+      user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash  TEXT NOT NULL UNIQUE,
+      family_id   UUID NOT NULL,
+      expires_at  TIMESTAMPTZ NOT NULL,
+      revoked_at  TIMESTAMPTZ,
+      replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+      user_agent  TEXT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX refresh_tokens_user_idx ON refresh_tokens(user_id);
+    CREATE INDEX refresh_tokens_family_idx ON refresh_tokens(family_id);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS refresh_tokens;
+    ALTER TABLE users DROP COLUMN token_version;
+  `);
+}
+
+module.exports = { up, down };
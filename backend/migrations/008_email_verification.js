@@ -0,0 +1,16 @@
+// migrations/008_email_verification.js
+// Tracks when a user confirmed their email address. Accounts that exist
+// before this migration are treated as verified so they keep publishing.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+    UPDATE users SET email_verified_at = NOW();
+  `);
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE users DROP COLUMN email_verified_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// migrations/009_api_keys.js
+// API keys for server-to-server integrations. Only a SHA-256 hash of the key
+// is stored; the prefix is kept so owners can tell their keys apart.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE api_keys (
+      id           UUID PRIMARY KEY,
+      user_id      UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name         TEXT NOT NULL,
+      prefix       TEXT NOT NULL,
+      key_hash     TEXT NOT NULL UNIQUE,
+      scopes       TEXT[] NOT NULL,
+      created_at   TIMESTAMPTZ DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      revoked_at   TIMESTAMPTZ
+    );
+    CREATE INDEX api_keys_user_idx ON api_keys(user_id);
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS api_keys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,54 @@
+// migrations/010_webhooks.js
+// Retailer webhook endpoints and the delivery log. Deliveries are written in
+// the same transaction as the change they describe and sent by a background
+// worker, so an event is never announced for a rolled-back write.
+// campaigns.ended_notified_at marks campaigns whose campaign.ended event has
+// been queued; campaigns that already ended are marked so they don't fire.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE webhook_endpoints (
+      id         UUID PRIMARY KEY,
+      user_id    UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      url        TEXT NOT NULL,
+      secret     TEXT NOT NULL,
+      events     TEXT[] NOT NULL,
+      active     BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX webhook_endpoints_user_idx ON webhook_endpoints(user_id);
+
+    CREATE TABLE webhook_deliveries (
+      id              UUID PRIMARY KEY,
+      endpoint_id     UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+      event_id        UUID NOT NULL,
+      event_type      TEXT NOT NULL,
+      payload         JSONB NOT NULL,
+      status          TEXT NOT NULL DEFAULT 'pending'
+                      CHECK (status IN ('pending','succeeded','failed')),
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+      last_attempt_at TIMESTAMPTZ,
+      response_status INTEGER,
+      last_error      TEXT,
+      delivered_at    TIMESTAMPTZ,
+      redelivery_of   UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+      created_at      TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX webhook_deliveries_endpoint_idx ON webhook_deliveries(endpoint_id, created_at);
+    CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+    ALTER TABLE campaigns ADD COLUMN ended_notified_at TIMESTAMPTZ;
+    UPDATE campaigns SET ended_notified_at = end_date WHERE end_date <= NOW();
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE campaigns DROP COLUMN ended_notified_at;
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhook_endpoints;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// migrations/011_rate_limits.js
+// Shared counters for RATE_LIMIT_STORE=postgres, and a hashed device
+// fingerprint on scans so repeat hits from one device can be recognised.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE rate_limit_counters (
+      key      TEXT PRIMARY KEY,
+      count    INTEGER NOT NULL,
+      reset_at TIMESTAMPTZ NOT NULL
+    );
+    CREATE INDEX rate_limit_counters_reset_idx ON rate_limit_counters(reset_at);
+
+    ALTER TABLE scans ADD COLUMN device_hash TEXT;
+    CREATE INDEX scans_device_recent_idx ON scans(campaign_id, device_hash, scanned_at)
+      WHERE device_hash IS NOT NULL;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS scans_device_recent_idx;
+    ALTER TABLE scans DROP COLUMN device_hash;
+    DROP TABLE IF EXISTS rate_limit_counters;
+  `);
+}
+
+module.exports = { up, down };
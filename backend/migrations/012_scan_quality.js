@@ -0,0 +1,32 @@
+// migrations/012_scan_quality.js
+// Scan quality scoring: a 0-100 score per scan (NULL for scans recorded
+// before scoring existed), a hashed client address for burst detection, and
+// optional coordinates plus radius describing where a campaign is shown.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE scans ADD COLUMN ip_hash TEXT;
+    ALTER TABLE scans ADD COLUMN quality_score SMALLINT
+      CHECK (quality_score BETWEEN 0 AND 100);
+    CREATE INDEX scans_ip_recent_idx ON scans(ip_hash, created_at) WHERE ip_hash IS NOT NULL;
+    CREATE INDEX scans_device_history_idx ON scans(device_hash, scanned_at) WHERE device_hash IS NOT NULL;
+
+    ALTER TABLE campaigns ADD COLUMN location_lat NUMERIC;
+    ALTER TABLE campaigns ADD COLUMN location_lon NUMERIC;
+    ALTER TABLE campaigns ADD COLUMN location_radius_km NUMERIC;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE campaigns DROP COLUMN location_radius_km;
+    ALTER TABLE campaigns DROP COLUMN location_lon;
+    ALTER TABLE campaigns DROP COLUMN location_lat;
+    DROP INDEX IF EXISTS scans_device_history_idx;
+    DROP INDEX IF EXISTS scans_ip_recent_idx;
+    ALTER TABLE scans DROP COLUMN quality_score;
+    ALTER TABLE scans DROP COLUMN ip_hash;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// migrations/013_scan_timeseries.js
+// Time-series scan analytics read a campaign's scans by time range.
+
+async function up(client) {
+  await client.query('CREATE INDEX scans_campaign_time_idx ON scans(campaign_id, scanned_at)');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS scans_campaign_time_idx');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// migrations/014_store_locations.js
+// Retailer store locations with opening hours, and campaign placements
+// (where a campaign is physically shown). Scans record the nearest store and
+// placement, computed server-side from the scan's coordinates, and whether
+// that store was open at the time. distance_to_store_m keeps its column but
+// is no longer taken from the client.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE stores (
+      id            UUID PRIMARY KEY,
+      retailer_id   UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name          TEXT NOT NULL,
+      address       TEXT,
+      lat           NUMERIC NOT NULL CHECK (lat BETWEEN -90 AND 90),
+      lon           NUMERIC NOT NULL CHECK (lon BETWEEN -180 AND 180),
+      timezone      TEXT NOT NULL DEFAULT 'UTC',
+      opening_hours JSONB,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX stores_retailer_idx ON stores(retailer_id);
+
+    CREATE TABLE placements (
+      id          UUID PRIMARY KEY,
+      campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      name        TEXT NOT NULL,
+      lat         NUMERIC NOT NULL CHECK (lat BETWEEN -90 AND 90),
+      lon         NUMERIC NOT NULL CHECK (lon BETWEEN -180 AND 180),
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX placements_campaign_idx ON placements(campaign_id);
+
+    ALTER TABLE scans ADD COLUMN nearest_store_id UUID REFERENCES stores(id) ON DELETE SET NULL;
+    ALTER TABLE scans ADD COLUMN store_open BOOLEAN;
+    ALTER TABLE scans ADD COLUMN nearest_placement_id UUID REFERENCES placements(id) ON DELETE SET NULL;
+    ALTER TABLE scans ADD COLUMN distance_to_placement_m INTEGER;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE scans DROP COLUMN distance_to_placement_m;
+    ALTER TABLE scans DROP COLUMN nearest_placement_id;
+    ALTER TABLE scans DROP COLUMN store_open;
+    ALTER TABLE scans DROP COLUMN nearest_store_id;
+    DROP TABLE IF EXISTS placements;
+    DROP TABLE IF EXISTS stores;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// migrations/015_placement_links.js
+// Placements become individually tracked prints of a campaign: each has an
+// identifier for its own short link (/w/<campaign identifier>/<identifier>)
+// and QR code, a format and a print date. Coordinates become optional, since
+// flyers have no fixed spot. Scans record the placement whose link they came
+// through; placements with scans can't be deleted, so that history stays.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE placements ADD COLUMN identifier TEXT;
+    UPDATE placements SET identifier = substr(md5(id::text), 1, 8);
+    ALTER TABLE placements ALTER COLUMN identifier SET NOT NULL;
+    ALTER TABLE placements ADD CONSTRAINT placements_identifier_key UNIQUE (campaign_id, identifier);
+    ALTER TABLE placements ADD COLUMN format TEXT CHECK (format IN ('poster','flyer','screen'));
+    ALTER TABLE placements ADD COLUMN printed_on DATE;
+    ALTER TABLE placements ALTER COLUMN lat DROP NOT NULL;
+    ALTER TABLE placements ALTER COLUMN lon DROP NOT NULL;
+    ALTER TABLE placements ADD CONSTRAINT placements_coords_check CHECK ((lat IS NULL) = (lon IS NULL));
+
+    ALTER TABLE scans ADD COLUMN placement_id UUID REFERENCES placements(id);
+    CREATE INDEX scans_placement_idx ON scans(placement_id) WHERE placement_id IS NOT NULL;
+  `);
+}
+
+async function down(client) {
+  // Placements without coordinates cannot satisfy the old constraint
+  await client.query(`
+    DROP INDEX IF EXISTS scans_placement_idx;
+    ALTER TABLE scans DROP COLUMN placement_id;
+    DELETE FROM placements WHERE lat IS NULL;
+    ALTER TABLE placements DROP CONSTRAINT placements_coords_check;
+    ALTER TABLE placements ALTER COLUMN lon SET NOT NULL;
+    ALTER TABLE placements ALTER COLUMN lat SET NOT NULL;
+    ALTER TABLE placements DROP COLUMN printed_on;
+    ALTER TABLE placements DROP COLUMN format;
+    ALTER TABLE placements DROP CONSTRAINT placements_identifier_key;
+    ALTER TABLE placements DROP COLUMN identifier;
+  `);
+}
+
+module.exports = { up, down };
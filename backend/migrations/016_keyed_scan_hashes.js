@@ -0,0 +1,16 @@
+// migrations/016_keyed_scan_hashes.js
+// Scan address and device hashes are now keyed with SCAN_HASH_SECRET. The
+// unkeyed ones already stored could be reversed and no longer match new
+// scans, so they are cleared.
+
+async function up(client) {
+  await client.query(`
+    UPDATE scans SET ip_hash = NULL, device_hash = NULL
+     WHERE ip_hash IS NOT NULL OR device_hash IS NOT NULL;
+  `);
+}
+
+// The old hashes are gone for good; nothing to restore
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// migrations/017_scan_views.js
+// When the product page a scan redirected to was first loaded, for the
+// product view step of the campaign funnel.
+
+async function up(client) {
+  await client.query('ALTER TABLE scans ADD COLUMN viewed_at TIMESTAMPTZ');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE scans DROP COLUMN viewed_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// migrations/018_void_payouts.js
+// Payouts still pending when their order is cancelled or refunded are
+// voided rather than offset, since nothing was paid out.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE payouts DROP CONSTRAINT payouts_status_check;
+    ALTER TABLE payouts ADD CONSTRAINT payouts_status_check CHECK(status IN ('pending','paid','void'));
+  `);
+}
+
+// Voided payouts go back to pending, as they were before voiding existed
+async function down(client) {
+  await client.query(`
+    UPDATE payouts SET status='pending' WHERE status='void';
+    ALTER TABLE payouts DROP CONSTRAINT payouts_status_check;
+    ALTER TABLE payouts ADD CONSTRAINT payouts_status_check CHECK(status IN ('pending','paid'));
+  `);
+}
+
+module.exports = { up, down };
@@ -1,24 +1,64 @@
 // models.js
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const { v4: uuidv4 } = require('uuid');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+const { EARTH_RADIUS_M } = require('./geo');
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: { rejectUnauthorized: false }
 });
+// Calendar dates (e.g. placements.printed_on) stay 'YYYY-MM-DD' strings
+// instead of becoming midnight in the server's time zone
+types.setTypeParser(types.builtins.DATE, value => value);
+
+// Orders placed within this many hours of a scan are credited to that scan
+const ATTRIBUTION_WINDOW_HOURS = parseFloat(process.env.ATTRIBUTION_WINDOW_HOURS) || 72;
+
+// SQL for the great-circle distance in metres from the `lat`/`lon` columns
+// to the point in parameters latParam/lonParam (geo.distanceMeters in SQL)
+function distanceSql(lat, lon, latParam, lonParam) {
+  return `(2 * ${EARTH_RADIUS_M} * asin(least(1, sqrt(
+    power(sin(radians(${lat} - ${latParam}::float8) / 2), 2) +
+    cos(radians(${latParam}::float8)) * cos(radians(${lat})) * power(sin(radians(${lon} - ${lonParam}::float8) / 2), 2)
+  ))))`;
+}
+
+// Run fn(client) inside a transaction on a dedicated client
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
 // -------- Product --------
-async function getAllProducts() {
-  const { rows } = await pool.query('SELECT * FROM products ORDER BY created_at DESC');
+// Products a user owns or distributes (every product when owner_id is null)
+async function getProducts(owner_id) {
+  const { rows } = await pool.query(
+    `SELECT * FROM products
+      WHERE ($1::uuid IS NULL OR retailer_id=$1 OR distributor_id=$1)
+      ORDER BY created_at DESC`,
+    [owner_id]
+  );
   return rows;
 }
 async function getProductById(id) {
   const { rows } = await pool.query('SELECT * FROM products WHERE id=$1', [id]);
   return rows[0];
 }
-async function createProduct({ id, name, price }) {
+async function createProduct({ id, name, price, stock_quantity = 0, retailer_id = null, distributor_id = null }) {
   const { rows } = await pool.query(
-    'INSERT INTO products(id,name,price,created_at) VALUES($1,$2,$3,NOW()) RETURNING *',
-    [id, name, price]
+    `INSERT INTO products(id,name,price,stock_quantity,retailer_id,distributor_id,created_at)
+     VALUES($1,$2,$3,$4,$5,$6,NOW()) RETURNING *`,
+    [id, name, price, stock_quantity, retailer_id, distributor_id]
   );
   return rows[0];
 }
@@ -34,18 +74,56 @@ async function deleteProduct(id) {
 }
 
 // -------- Campaign --------
+// Publishing states; archived is terminal
+const CAMPAIGN_TRANSITIONS = {
+  draft: ['active', 'archived'],
+  active: ['paused', 'archived'],
+  paused: ['active', 'archived'],
+  archived: []
+};
+const CAMPAIGN_STATUSES = Object.keys(CAMPAIGN_TRANSITIONS);
+// Fields a retailer may change after creation. The QR identifier is fixed
+// because it is already printed.
+const EDITABLE_CAMPAIGN_FIELDS = [
+  'campaign_name','product_id','start_date','end_date',
+  'commission_percent','location','advertiser_id','fallback_url','coming_soon_url',
+  'location_lat','location_lon','location_radius_km'
+];
+
+// Where a campaign is in its start/end window: 'upcoming', 'live' or 'ended'.
+// Missing dates leave that side of the window open.
+function getCampaignPhase(campaign, at = new Date()) {
+  const time = new Date(at).getTime();
+  if (campaign.start_date && time < new Date(campaign.start_date).getTime()) return 'upcoming';
+  if (campaign.end_date && time > new Date(campaign.end_date).getTime()) return 'ended';
+  return 'live';
+}
+
+// Scan flags for a scan taken outside the campaign's window
+function scheduleFlags(campaign, scanned_at) {
+  const phase = getCampaignPhase(campaign, scanned_at);
+  if (phase === 'upcoming') return ['before_start'];
+  if (phase === 'ended') return ['after_end'];
+  return [];
+}
+
 async function createCampaign(fields) {
   // Validate required fields
   const required = ['retailer_id','product_id','campaign_name','qr_code_identifier'];
   for (const key of required) {
     if (!fields[key]) {
-      throw new Error(`Missing required field: ${key}`);
+      throw new ValidationError(`Missing required field: ${key}`);
     }
   }
+  if (fields.status && !CAMPAIGN_STATUSES.includes(fields.status)) {
+    throw new ValidationError(`Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`);
+  }
   const cols = [
     'id','retailer_id','product_id','campaign_name',
     'start_date','end_date','qr_code_identifier',
-    'commission_percent','location'
+    'commission_percent','location','advertiser_id',
+    'status','fallback_url','coming_soon_url',
+    'location_lat','location_lon','location_radius_km'
   ];
   const vals = [
     uuidv4(),
@@ -56,7 +134,14 @@ async function createCampaign(fields) {
     fields.end_date,
     fields.qr_code_identifier,
     fields.commission_percent,
-    fields.location
+    fields.location,
+    fields.advertiser_id || null,
+    fields.status || 'active',
+    fields.fallback_url || null,
+    fields.coming_soon_url || null,
+    fields.location_lat ?? null,
+    fields.location_lon ?? null,
+    fields.location_radius_km ?? null
   ];
   try {
     const { rows } = await pool.query(
@@ -68,9 +153,9 @@ async function createCampaign(fields) {
     return rows[0];
   } catch (err) {
     if (err.code === '23505' && err.constraint && err.constraint.includes('qr_code_identifier')) {
-      throw new Error('QR code identifier must be unique.');
+      throw new ConflictError('QR code identifier must be unique.');
     }
-    throw new Error('Failed to create campaign: ' + err.message);
+    throw err;
   }
 }
 async function getCampaignById(id) {
@@ -89,30 +174,309 @@ async function getAllCampaigns() {
   return rows;
 }
 
+// Partial update of a retailer's own campaign (any campaign when retailer_id
+// is null, i.e. for admins); unknown keys are ignored
+async function updateCampaign(id, retailer_id, fields) {
+  const updates = EDITABLE_CAMPAIGN_FIELDS.filter(key => fields[key] !== undefined);
+  if (updates.length === 0) throw new ValidationError('No editable fields supplied');
+  let setClause = updates.map((key, i) => `${key}=$${i + 3}`).join(', ');
+  // A moved end date means campaign.ended fires again when the new one passes
+  if (updates.includes('end_date')) setClause += ', ended_notified_at=NULL';
+  try {
+    const { rows } = await pool.query(
+      `UPDATE campaigns SET ${setClause}
+        WHERE id=$1 AND ($2::uuid IS NULL OR retailer_id=$2) AND deleted_at IS NULL
+        RETURNING *`,
+      [id, retailer_id, ...updates.map(key => fields[key])]
+    );
+    return rows[0];
+  } catch (err) {
+    if (err.code === '23503') throw new ValidationError('Referenced product or advertiser does not exist');
+    throw err;
+  }
+}
+
+async function setCampaignStatus(id, retailer_id, status) {
+  if (!CAMPAIGN_STATUSES.includes(status)) {
+    throw new ValidationError(`Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`);
+  }
+  return withTransaction(async client => {
+    const { rows } = await client.query(
+      'SELECT * FROM campaigns WHERE id=$1 AND ($2::uuid IS NULL OR retailer_id=$2) AND deleted_at IS NULL FOR UPDATE',
+      [id, retailer_id]
+    );
+    const campaign = rows[0];
+    if (!campaign) return null;
+    if (campaign.status === status) return campaign;
+    if (!CAMPAIGN_TRANSITIONS[campaign.status].includes(status)) {
+      throw new ConflictError(`Cannot move campaign from ${campaign.status} to ${status}`);
+    }
+    const { rows: updated } = await client.query(
+      'UPDATE campaigns SET status=$2 WHERE id=$1 RETURNING *',
+      [id, status]
+    );
+    return updated[0];
+  });
+}
+
+// Campaigns that never collected scans or orders are removed outright.
+// Otherwise the row is archived and hidden so that history stays intact.
+// Returns null when the retailer has no such campaign.
+async function deleteCampaign(id, retailer_id) {
+  return withTransaction(async client => {
+    const { rows } = await client.query(
+      'SELECT id FROM campaigns WHERE id=$1 AND ($2::uuid IS NULL OR retailer_id=$2) AND deleted_at IS NULL FOR UPDATE',
+      [id, retailer_id]
+    );
+    if (!rows[0]) return null;
+    const { rows: usage } = await client.query(
+      `SELECT EXISTS(SELECT 1 FROM scans WHERE campaign_id=$1)
+           OR EXISTS(SELECT 1 FROM orders WHERE campaign_id=$1) AS in_use`,
+      [id]
+    );
+    if (usage[0].in_use) {
+      await client.query(
+        `UPDATE campaigns SET status='archived', deleted_at=NOW() WHERE id=$1`,
+        [id]
+      );
+      return { id, mode: 'archived' };
+    }
+    await client.query('DELETE FROM campaigns WHERE id=$1', [id]);
+    return { id, mode: 'deleted' };
+  });
+}
+
 // -------- Order --------
-async function createOrder(fields) {
-  const cols = [
-    'id','customer_id','product_id','campaign_id',
-    'quantity','total_amount','commission_amount','shipping_address'
-  ];
-  const vals = [
-    uuidv4(),
-    fields.customer_id,
-    fields.product_id,
-    fields.campaign_id,
-    fields.quantity,
-    fields.total_amount,
-    fields.commission_amount,
-    fields.shipping_address
-  ];
+// Link a freshly inserted order to the scan that led to it. Only the first
+// order inside the attribution window is credited, and only when the scan
+// belongs to the same campaign. Returns the scan id when credited.
+async function attributeOrderToScan(client, order, scan_id) {
+  const { rows } = await client.query(
+    `UPDATE scans SET converted_order_id=$1
+      WHERE id=$2
+        AND converted_order_id IS NULL
+        AND campaign_id=$3
+        AND created_at >= NOW() - make_interval(secs => $4)
+      RETURNING id`,
+    [order.id, scan_id, order.campaign_id, ATTRIBUTION_WINDOW_HOURS * 3600]
+  );
+  return rows[0] ? rows[0].id : null;
+}
+
+// Round to whole cents
+function roundMoney(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+// Commission is owed to the campaign's advertiser; campaigns without one
+// (a retailer promoting its own product) pay no commission.
+function computeCommission(total_amount, campaign) {
+  if (!campaign || !campaign.advertiser_id) return 0;
+  return roundMoney(Number(total_amount) * Number(campaign.commission_percent) / 100);
+}
+
+// Payout rows owed for an order: the advertiser's commission and the
+// distributor's share of the remainder.
+async function createOrderPayouts(client, order, campaign, product) {
+  const payouts = [];
+  if (order.commission_amount > 0) {
+    payouts.push(await createPayout({
+      recipient_id: campaign.advertiser_id,
+      order_id: order.id,
+      amount: order.commission_amount,
+      type: 'advertiser_commission'
+    }, client));
+  }
+  const distributor_id = product.distributor_id || product.retailer_id;
+  if (distributor_id) {
+    payouts.push(await createPayout({
+      recipient_id: distributor_id,
+      order_id: order.id,
+      amount: roundMoney(Number(order.total_amount) - Number(order.commission_amount)),
+      type: 'distributor_revenue'
+    }, client));
+  }
+  return payouts;
+}
+
+// actor_id goes into the status history as who placed the order: the
+// authenticated caller (an integration's key owner), or null for anonymous
+// checkout
+async function createOrder(fields, { actor_id = null } = {}) {
+  return withTransaction(async client => {
+    let campaign_id = fields.campaign_id;
+    if (fields.scan_id && !campaign_id) {
+      // The attribution token identifies the campaign when the client omits it
+      const { rows } = await client.query('SELECT campaign_id FROM scans WHERE id=$1', [fields.scan_id]);
+      if (rows[0]) campaign_id = rows[0].campaign_id;
+    }
+    const quantity = fields.quantity == null ? 1 : Number(fields.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ValidationError('Quantity must be a positive integer');
+    }
+
+    // Lock the product row so concurrent orders can't oversell its stock
+    const { rows: productRows } = await client.query(
+      'SELECT * FROM products WHERE id=$1 FOR UPDATE',
+      [fields.product_id]
+    );
+    const product = productRows[0];
+    if (!product) throw new NotFoundError('Product not found');
+    if (product.stock_quantity < quantity) {
+      throw new ConflictError(`Out of stock: ${product.stock_quantity} available`);
+    }
+    const total_amount = roundMoney(Number(product.price) * quantity);
+    if (fields.total_amount != null && roundMoney(fields.total_amount) !== total_amount) {
+      throw new ConflictError(`Price mismatch: expected total_amount ${total_amount.toFixed(2)}`);
+    }
+
+    // Commission only flows through a live campaign for this product. A
+    // campaign the client names must qualify; one taken from the scan is
+    // dropped instead, so the order goes through unattributed
+    let campaign = null;
+    if (campaign_id) {
+      const { rows: campaignRows } = await client.query('SELECT * FROM campaigns WHERE id=$1', [campaign_id]);
+      campaign = campaignRows[0];
+      if (!campaign) throw new NotFoundError('Campaign not found');
+      const problem = campaign.product_id !== product.id ? 'Campaign is not for this product'
+        : campaign.deleted_at || campaign.status !== 'active' ? 'Campaign is not active'
+        : null;
+      if (problem && fields.campaign_id) throw new ValidationError(problem);
+      if (problem) campaign = campaign_id = null;
+    }
+
+    await client.query(
+      'UPDATE products SET stock_quantity = stock_quantity - $2 WHERE id=$1',
+      [product.id, quantity]
+    );
+
+    const cols = [
+      'id','customer_id','product_id','campaign_id','retailer_id',
+      'quantity','total_amount','commission_amount','shipping_address'
+    ];
+    const vals = [
+      uuidv4(),
+      fields.customer_id,
+      fields.product_id,
+      campaign_id,
+      campaign ? campaign.retailer_id : product.retailer_id,
+      quantity,
+      total_amount,
+      computeCommission(total_amount, campaign),
+      fields.shipping_address
+    ];
+    const { rows } = await client.query(
+      `INSERT INTO orders(${cols.join(',')})
+       VALUES(${cols.map((_,i)=>`$${i+1}`).join(',')})
+       RETURNING *`,
+      vals
+    );
+    const order = rows[0];
+    order.payouts = await createOrderPayouts(client, order, campaign, product);
+    await recordOrderStatus(client, order.id, null, order.status, actor_id);
+    order.attributed_scan_id = fields.scan_id && order.campaign_id
+      ? await attributeOrderToScan(client, order, fields.scan_id)
+      : null;
+    await queueWebhookEvent('order.created', { retailer_id: order.retailer_id }, order, client);
+    return order;
+  });
+}
+
+// Legal status transitions; cancelled and refunded are terminal
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['fulfilled', 'cancelled', 'refunded'],
+  fulfilled: ['shipped', 'refunded'],
+  shipped: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+async function recordOrderStatus(client, order_id, from_status, to_status, actor_id, note = null) {
+  await client.query(
+    `INSERT INTO order_status_history(id,order_id,from_status,to_status,actor_id,note)
+     VALUES($1,$2,$3,$4,$5,$6)`,
+    [uuidv4(), order_id, from_status, to_status, actor_id, note]
+  );
+}
+
+// Settle an order's payouts when it is cancelled or refunded: pending ones
+// are voided, paid ones are offset with a negative entry so ledgers net to
+// zero while the original rows stay in the history.
+async function reverseOrderPayouts(client, order_id) {
+  const { rows: voided } = await client.query(
+    `UPDATE payouts SET status='void'
+      WHERE order_id=$1 AND status='pending' AND reverses_payout_id IS NULL
+      RETURNING *`,
+    [order_id]
+  );
+  const { rows } = await client.query(
+    `SELECT * FROM payouts p
+      WHERE order_id=$1 AND status='paid' AND reverses_payout_id IS NULL
+        AND NOT EXISTS (SELECT 1 FROM payouts r WHERE r.reverses_payout_id=p.id)`,
+    [order_id]
+  );
+  const reversals = [];
+  for (const payout of rows) {
+    reversals.push(await createPayout({
+      recipient_id: payout.recipient_id,
+      order_id,
+      amount: -Number(payout.amount),
+      type: payout.type,
+      reverses_payout_id: payout.id
+    }, client));
+  }
+  return [...voided, ...reversals];
+}
+
+// Move a retailer's order to a new status. Cancelling or refunding puts
+// the stock back and reverses the order's payouts.
+async function updateOrderStatus(id, { status, actor_id, retailer_id, note }) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new ValidationError(`Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+  return withTransaction(async client => {
+    const { rows } = await client.query(
+      'SELECT * FROM orders WHERE id=$1 AND ($2::uuid IS NULL OR retailer_id=$2) FOR UPDATE',
+      [id, retailer_id]
+    );
+    const order = rows[0];
+    if (!order) throw new NotFoundError('Not found');
+    if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+      throw new ConflictError(`Cannot move order from ${order.status} to ${status}`);
+    }
+
+    const { rows: updated } = await client.query(
+      'UPDATE orders SET status=$2 WHERE id=$1 RETURNING *',
+      [id, status]
+    );
+    await recordOrderStatus(client, id, order.status, status, actor_id, note);
+    if (status === 'cancelled' || status === 'refunded') {
+      await client.query(
+        'UPDATE products SET stock_quantity = stock_quantity + $2 WHERE id=$1',
+        [order.product_id, order.quantity]
+      );
+      updated[0].reversed_payouts = await reverseOrderPayouts(client, id);
+    }
+    await queueWebhookEvent(
+      'order.status_changed',
+      { retailer_id: order.retailer_id },
+      { ...updated[0], previous_status: order.status },
+      client
+    );
+    return updated[0];
+  });
+}
+
+async function getOrderStatusHistory(order_id) {
   const { rows } = await pool.query(
-    `INSERT INTO orders(${cols.join(',')})
-     VALUES(${cols.map((_,i)=>`$${i+1}`).join(',')})
-     RETURNING *`,
-    vals
+    'SELECT * FROM order_status_history WHERE order_id=$1 ORDER BY created_at',
+    [order_id]
   );
-  return rows[0];
+  return rows;
 }
+
 async function getAllOrders() {
   const { rows } = await pool.query('SELECT * FROM orders ORDER BY created_at DESC');
   return rows;
@@ -128,6 +492,13 @@ async function getOrdersByCustomer(customer_id) {
   );
   return rows;
 }
+async function getOrdersByRetailer(retailer_id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM orders WHERE retailer_id=$1 ORDER BY created_at DESC',
+    [retailer_id]
+  );
+  return rows;
+}
 async function getOrdersByDistributor(distributor_id) {
   const { rows } = await pool.query(`
     SELECT o.*
@@ -140,16 +511,81 @@ async function getOrdersByDistributor(distributor_id) {
 }
 
 // -------- Payout --------
-async function createPayout({ recipient_id, order_id, amount, type }) {
-  const { rows } = await pool.query(
-    'INSERT INTO payouts(id,recipient_id,order_id,amount,type,created_at) VALUES($1,$2,$3,$4,$5,NOW()) RETURNING *',
-    [uuidv4(), recipient_id, order_id, amount, type]
+async function createPayout({ recipient_id, order_id, amount, type, reverses_payout_id = null }, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO payouts(id,recipient_id,order_id,amount,type,reverses_payout_id,created_at)
+     VALUES($1,$2,$3,$4,$5,$6,NOW()) RETURNING *`,
+    [uuidv4(), recipient_id, order_id, amount, type, reverses_payout_id]
   );
+  // Payouts without an order (manual admin entries) have no retailer to notify
+  if (order_id) await queueWebhookEvent('payout.created', { order_id }, rows[0], db);
   return rows[0];
 }
 
+// Totals and entries for one payout recipient. Pending payouts make up the
+// outstanding balance; paid ones have already been settled and void ones
+// (for cancelled or refunded orders) count toward neither.
+async function getPayoutLedger(recipient_id) {
+  const { rows: totals } = await pool.query(
+    `SELECT
+        COALESCE(SUM(amount) FILTER (WHERE status<>'void'), 0)::float AS earned,
+        COALESCE(SUM(amount) FILTER (WHERE status='pending'), 0)::float AS pending,
+        COALESCE(SUM(amount) FILTER (WHERE status='paid'), 0)::float AS paid
+     FROM payouts
+     WHERE recipient_id=$1`,
+    [recipient_id]
+  );
+  const { rows: entries } = await pool.query(
+    'SELECT * FROM payouts WHERE recipient_id=$1 ORDER BY created_at DESC',
+    [recipient_id]
+  );
+  return {
+    recipient_id,
+    ...totals[0],
+    balance: totals[0].pending,
+    entries
+  };
+}
+
+// An advertiser's commission payouts with the campaign that earned them
+async function getCommissionsByAdvertiser(advertiser_id) {
+  const { rows } = await pool.query(
+    `SELECT p.*, o.campaign_id, c.campaign_name, o.total_amount AS order_total
+       FROM payouts p
+       JOIN orders o ON o.id = p.order_id
+       LEFT JOIN campaigns c ON c.id = o.campaign_id
+      WHERE p.recipient_id=$1 AND p.type='advertiser_commission'
+      ORDER BY p.created_at DESC`,
+    [advertiser_id]
+  );
+  return rows;
+}
+
+// Settle a pending payout on one of the retailer's own orders (any order
+// when retailer_id is null). Reversal entries and payouts that have been
+// reversed can't be settled.
+async function markPayoutPaid(id, retailer_id) {
+  const { rows } = await pool.query(
+    `UPDATE payouts SET status='paid', paid_at=NOW()
+      WHERE id=$1 AND status='pending' AND reverses_payout_id IS NULL
+        AND NOT EXISTS (SELECT 1 FROM payouts r WHERE r.reverses_payout_id = payouts.id)
+        AND ($2::uuid IS NULL OR order_id IN (SELECT id FROM orders WHERE retailer_id=$2))
+      RETURNING *`,
+    [id, retailer_id]
+  );
+  if (rows[0]) return rows[0];
+  const { rows: found } = await pool.query(
+    `SELECT status FROM payouts
+      WHERE id=$1 AND ($2::uuid IS NULL OR order_id IN (SELECT id FROM orders WHERE retailer_id=$2))`,
+    [id, retailer_id]
+  );
+  if (!found[0]) throw new NotFoundError('Not found');
+  if (found[0].status !== 'pending') throw new ConflictError(`Payout is already ${found[0].status}`);
+  throw new ConflictError('Reversed payouts and reversal entries cannot be settled');
+}
+
 // -------- Analytics --------
-async function createAnalyticsLog({ adLocation, format, clicks, conversions }) {
+async function createAnalyticsLog({ adLocation, format, clicks = 0, conversions = 0 }) {
   const { rows } = await pool.query(
     'INSERT INTO analytics(id,adLocation,format,clicks,conversions,created_at) VALUES($1,$2,$3,$4,$5,NOW()) RETURNING *',
     [uuidv4(), adLocation, format, clicks, conversions]
@@ -163,6 +599,7 @@ async function getAnalyticsLogs() {
 
 // -------- Scan Events --------
 async function createScan({
+  id = uuidv4(),             // attribution token issued by the /w/ redirect
   campaign_id,
   scanned_at,
   lat,
@@ -171,25 +608,37 @@ async function createScan({
   suburb,
   region,
   weather,
-  distance_to_store_m,
   nearest_poi,
   distance_to_poi_m,
   user_agent,
+  nearest_store_id = null,   // see scanProximity in index.js
+  distance_to_store_m = null,
+  store_open = null,
+  nearest_placement_id = null,
+  distance_to_placement_m = null,
+  placement_id = null,       // placement whose short link the scan came through
   converted_order_id = null, // new: link to order if scan led to conversion
   device_type = null,        // new: browser/mobile/desktop
   referrer = null,           // new: where did the scan come from (if available)
-  scan_source = null         // new: e.g. QR, NFC, shortlink, etc
+  scan_source = null,        // new: e.g. QR, NFC, shortlink, etc
+  flags = [],                // reasons the scan is excluded from performance summaries
+  device_hash = null,        // hashed client address + user agent, for duplicate suppression
+  ip_hash = null,            // hashed client address, for burst detection
+  quality_score = null       // 0-100, see scanQuality.js
 }) {
   const { rows } = await pool.query(
     `INSERT INTO scans (
       id, campaign_id, scanned_at, lat, lon, city, suburb, region, weather,
       distance_to_store_m, nearest_poi, distance_to_poi_m, user_agent,
-      converted_order_id, device_type, referrer, scan_source
+      converted_order_id, device_type, referrer, scan_source, flags, device_hash,
+      ip_hash, quality_score, nearest_store_id, store_open, nearest_placement_id,
+      distance_to_placement_m, placement_id
     ) VALUES (
-      $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17
+      $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,
+      $22,$23,$24,$25,$26
     ) RETURNING *`,
     [
-      uuidv4(),
+      id,
       campaign_id,
       scanned_at,
       lat,
@@ -205,14 +654,172 @@ async function createScan({
       converted_order_id,
       device_type,
       referrer,
-      scan_source
+      scan_source,
+      flags,
+      device_hash,
+      ip_hash,
+      quality_score,
+      nearest_store_id,
+      store_open,
+      nearest_placement_id,
+      distance_to_placement_m,
+      placement_id
+    ]
+  );
+  await queueWebhookEvent('scan.created', { campaign_id }, rows[0]);
+  return rows[0];
+}
+
+// The latest scan of a campaign from the same device within the last
+// `withinSeconds`, if any; repeat hits reuse it instead of counting again
+async function getRecentDeviceScan(campaign_id, device_hash, withinSeconds) {
+  const { rows } = await pool.query(
+    `SELECT * FROM scans
+      WHERE campaign_id=$1 AND device_hash=$2
+        AND scanned_at > NOW() - ($3 || ' seconds')::interval
+      ORDER BY scanned_at DESC LIMIT 1`,
+    [campaign_id, device_hash, String(withinSeconds)]
+  );
+  return rows[0];
+}
+
+// History that scan quality scoring compares a scan against (see
+// scanQuality.js): the device's previous located scan and how many scans
+// the same address sent recently. `exclude_id` leaves out the scan itself.
+async function getScanQualityContext({ exclude_id = null, device_hash, ip_hash, scanned_at, ipWindowSeconds }) {
+  const previous = device_hash ? (await pool.query(
+    `SELECT scanned_at, lat, lon FROM scans
+      WHERE device_hash=$1 AND lat IS NOT NULL AND scanned_at <= $2
+        AND ($3::uuid IS NULL OR id <> $3)
+      ORDER BY scanned_at DESC LIMIT 1`,
+    [device_hash, scanned_at, exclude_id]
+  )).rows[0] : null;
+  const recentIpScans = ip_hash ? (await pool.query(
+    `SELECT COUNT(*)::int AS count FROM scans
+      WHERE ip_hash=$1 AND created_at > NOW() - ($2 || ' seconds')::interval
+        AND ($3::uuid IS NULL OR id <> $3)`,
+    [ip_hash, String(ipWindowSeconds), exclude_id]
+  )).rows[0].count : 0;
+  return { previous: previous || null, recentIpScans };
+}
+
+// Adds flags (keeping existing ones) and replaces the quality score
+async function updateScanQuality(id, flags, quality_score) {
+  const { rows } = await pool.query(
+    `UPDATE scans
+        SET flags = ARRAY(SELECT DISTINCT unnest(flags || $2::text[])),
+            quality_score = $3
+      WHERE id=$1 RETURNING *`,
+    [id, flags, quality_score]
+  );
+  return rows[0];
+}
+
+async function getScanById(id) {
+  const { rows } = await pool.query('SELECT * FROM scans WHERE id=$1', [id]);
+  return rows[0];
+}
+
+// The product page loaded for this scan; only the first load is kept
+async function markScanViewed(id) {
+  const { rows } = await pool.query(
+    'UPDATE scans SET viewed_at = COALESCE(viewed_at, NOW()) WHERE id=$1 RETURNING *',
+    [id]
+  );
+  return rows[0];
+}
+
+// Attach browser-reported location data, and the store and placement
+// distances worked out from it, to a scan recorded by the redirect. Only
+// fields that are still empty are filled in.
+async function attachScanLocation(id, campaign_id, {
+  lat,
+  lon,
+  city,
+  suburb,
+  region,
+  weather,
+  nearest_poi,
+  distance_to_poi_m,
+  nearest_store_id = null,
+  distance_to_store_m = null,
+  store_open = null,
+  nearest_placement_id = null,
+  distance_to_placement_m = null
+}) {
+  const { rows } = await pool.query(
+    `UPDATE scans SET
+        lat = COALESCE(lat, $3),
+        lon = COALESCE(lon, $4),
+        city = COALESCE(city, $5),
+        suburb = COALESCE(suburb, $6),
+        region = COALESCE(region, $7),
+        weather = COALESCE(weather, $8),
+        distance_to_store_m = COALESCE(distance_to_store_m, $9),
+        nearest_poi = COALESCE(nearest_poi, $10),
+        distance_to_poi_m = COALESCE(distance_to_poi_m, $11),
+        nearest_store_id = COALESCE(nearest_store_id, $12),
+        store_open = COALESCE(store_open, $13),
+        nearest_placement_id = COALESCE(nearest_placement_id, $14),
+        distance_to_placement_m = COALESCE(distance_to_placement_m, $15)
+      WHERE id=$1 AND campaign_id=$2
+      RETURNING *`,
+    [
+      id,
+      campaign_id,
+      lat,
+      lon,
+      city,
+      suburb,
+      region,
+      weather ? JSON.stringify(weather) : null,
+      distance_to_store_m,
+      nearest_poi,
+      distance_to_poi_m,
+      nearest_store_id,
+      store_open,
+      nearest_placement_id,
+      distance_to_placement_m
     ]
   );
   return rows[0];
 }
 
-// Return all scan metadata for a campaign (not a summary)
-async function getScansByCampaign(campaignId) {
+// Fill in enrichment results without overwriting client-supplied values
+async function backfillScanEnrichment(id, { city, suburb, region, weather }) {
+  const { rows } = await pool.query(
+    `UPDATE scans SET
+        city = COALESCE(city, $2),
+        suburb = COALESCE(suburb, $3),
+        region = COALESCE(region, $4),
+        weather = COALESCE(weather, $5)
+      WHERE id=$1
+      RETURNING *`,
+    [id, city, suburb, region, weather ? JSON.stringify(weather) : null]
+  );
+  return rows[0];
+}
+
+// Recent scans with coordinates that still lack geocode or weather data.
+// Weather is only wanted for scans made within the last weatherMaxAgeSeconds,
+// since the lookup returns the weather now, not at the time of the scan.
+async function getScansMissingEnrichment({ needsGeocode, needsWeather, weatherMaxAgeSeconds = 0, limit = 100 }) {
+  const { rows } = await pool.query(
+    `SELECT * FROM scans
+      WHERE lat IS NOT NULL AND lon IS NOT NULL
+        AND created_at >= NOW() - INTERVAL '1 day'
+        AND (($1 AND (city IS NULL OR suburb IS NULL OR region IS NULL))
+          OR ($2 AND weather IS NULL AND scanned_at >= NOW() - make_interval(secs => $3)))
+      ORDER BY created_at DESC
+      LIMIT $4`,
+    [needsGeocode, needsWeather, weatherMaxAgeSeconds, limit]
+  );
+  return rows;
+}
+
+// Return all scan metadata for a campaign (not a summary). Flagged scans
+// are left out unless includeFlagged is set.
+async function getScansByCampaign(campaignId, { includeFlagged = false } = {}) {
   const { rows } = await pool.query(
     `SELECT
         id,
@@ -225,33 +832,47 @@ async function getScansByCampaign(campaignId) {
         region,
         weather,
         distance_to_store_m,
+        nearest_store_id,
+        store_open,
+        nearest_placement_id,
+        distance_to_placement_m,
         nearest_poi,
         distance_to_poi_m,
-        user_agent
+        user_agent,
+        flags,
+        quality_score,
+        placement_id
      FROM scans
-     WHERE campaign_id = $1
+     WHERE campaign_id = $1 AND ($2 OR cardinality(flags) = 0)
      ORDER BY scanned_at DESC`,
-    [campaignId]
+    [campaignId, includeFlagged]
   );
   return rows;
 }
 
-// Example: get scan summary by city
-async function getScanSummaryByCity() {
+// Scan summary by city over a retailer's campaigns (every campaign when
+// retailer_id is null); flagged scans are not counted unless includeFlagged
+// is set
+async function getScanSummaryByCity({ retailer_id = null, includeFlagged = false } = {}) {
   const { rows } = await pool.query(
     `SELECT
-        city,
-        AVG(lat)::float AS lat,
-        AVG(lon)::float AS lon,
+        s.city,
+        AVG(s.lat)::float AS lat,
+        AVG(s.lon)::float AS lon,
         COUNT(*) AS scan_count
-     FROM scans
-     GROUP BY city
-     ORDER BY scan_count DESC`
+     FROM scans s
+     JOIN campaigns c ON c.id = s.campaign_id
+     WHERE ($1::uuid IS NULL OR c.retailer_id=$1)
+       AND ($2 OR cardinality(s.flags) = 0)
+     GROUP BY s.city
+     ORDER BY scan_count DESC`,
+    [retailer_id, includeFlagged]
   );
   return rows;
 }
-// Enriched scan summary by campaign
-async function getScanSummaryByCampaign(campaignId) {
+// Enriched scan summary by campaign (flagged scans are not counted unless
+// includeFlagged is set)
+async function getScanSummaryByCampaign(campaignId, { includeFlagged = false } = {}) {
   const { rows } = await pool.query(
     `SELECT
         COUNT(*) AS scan_count,
@@ -262,21 +883,651 @@ async function getScanSummaryByCampaign(campaignId) {
         ARRAY_AGG(DISTINCT region) AS regions,
         AVG(lat)::float AS avg_lat,
         AVG(lon)::float AS avg_lon,
-        ARRAY_AGG(jsonb_build_object(
-          'lat', lat,
-          'lon', lon,
-          'city', city,
-          'suburb', suburb,
-          'region', region
-        )) AS geo_points,
         ARRAY_AGG(DISTINCT device_type) AS device_types,
         ARRAY_AGG(DISTINCT scan_source) AS scan_sources,
         ARRAY_AGG(DISTINCT referrer) AS referrers,
         AVG((weather->>'temp')::float) AS avg_temp,
         ARRAY_AGG(DISTINCT weather->>'condition') AS weather_conditions
      FROM scans
-     WHERE campaign_id = $1`,
-    [campaignId]
+     WHERE campaign_id = $1 AND ($2 OR cardinality(flags) = 0)`,
+    [campaignId, includeFlagged]
+  );
+  return rows[0];
+}
+
+// Dimensions scan time series can be filtered and grouped by, with the SQL
+// each one reads
+const SCAN_DIMENSIONS = {
+  campaign_id: 's.campaign_id',
+  city: 's.city',
+  region: 's.region',
+  device_type: 's.device_type',
+  scan_source: 's.scan_source',
+  weather_condition: "s.weather->>'condition'",
+  nearest_store_id: 's.nearest_store_id',
+  store_open: 's.store_open',
+  placement_id: 's.placement_id'
+};
+const SCAN_INTERVALS = ['hour', 'day', 'week', 'month'];
+
+// Scan and conversion counts per time bucket for one retailer's campaigns
+// (all campaigns when retailer_id is null). Buckets start at local midnight
+// (or the local hour, week or month) in `timeZone` and come back as
+// timestamps; buckets without scans are omitted. `filters` maps dimensions
+// to the value they must equal, `groupBy` splits each bucket further.
+async function getScanTimeSeries({
+  retailer_id,
+  interval = 'day',
+  from,
+  to,
+  timeZone = 'UTC',
+  filters = {},
+  groupBy = [],
+  includeFlagged = false
+}) {
+  if (!SCAN_INTERVALS.includes(interval)) {
+    throw new ValidationError(`interval must be one of: ${SCAN_INTERVALS.join(', ')}`);
+  }
+  const values = [retailer_id, from, to, includeFlagged, interval, timeZone];
+  const where = [
+    '($1::uuid IS NULL OR c.retailer_id=$1)',
+    's.scanned_at >= $2',
+    's.scanned_at < $3',
+    '($4 OR cardinality(s.flags) = 0)'
+  ];
+  for (const [dimension, value] of Object.entries(filters)) {
+    if (value == null) continue;
+    values.push(value);
+    where.push(`${SCAN_DIMENSIONS[dimension]} = $${values.length}`);
+  }
+  const groups = groupBy.map(dimension => `${SCAN_DIMENSIONS[dimension]} AS ${dimension}`);
+  // Bucket first, then the group columns, by position
+  const positions = ['1', ...groupBy.map((_, i) => String(i + 2))].join(', ');
+  const { rows } = await pool.query(
+    `SELECT
+        date_trunc($5, s.scanned_at AT TIME ZONE $6) AT TIME ZONE $6 AS bucket,
+        ${groups.map(group => `${group},`).join(' ')}
+        COUNT(*)::int AS scans,
+        COUNT(s.converted_order_id)::int AS conversions
+       FROM scans s
+       JOIN campaigns c ON c.id = s.campaign_id
+      WHERE ${where.join(' AND ')}
+      GROUP BY ${positions}
+      ORDER BY ${positions}`,
+    values
+  );
+  return rows;
+}
+
+// WHERE clauses limiting located scans (alias s, joined to campaigns c) to
+// one retailer, campaign and time range; appends their parameters to `values`
+function locatedScanFilters(values, { retailer_id = null, campaign_id = null, from = null, to = null, includeFlagged = false }) {
+  const n = values.push(retailer_id, campaign_id, from, to, includeFlagged);
+  return [
+    's.lat IS NOT NULL AND s.lon IS NOT NULL',
+    `($${n - 4}::uuid IS NULL OR c.retailer_id=$${n - 4})`,
+    `($${n - 3}::uuid IS NULL OR s.campaign_id=$${n - 3})`,
+    `($${n - 2}::timestamptz IS NULL OR s.scanned_at >= $${n - 2})`,
+    `($${n - 1}::timestamptz IS NULL OR s.scanned_at < $${n - 1})`,
+    `($${n} OR cardinality(s.flags) = 0)`
+  ];
+}
+
+// Scan counts per cell of a grid anchored at -180°/-90° with cells
+// latDeg × lonDeg in size; x counts cells east, y cells north. Busiest cells
+// first, at most `limit` of them. `bbox` ({ west, south, east, north })
+// restricts the scans counted.
+async function getScanGrid({ latDeg, lonDeg, bbox = null, limit, ...scope }) {
+  const values = [latDeg, lonDeg, Math.ceil(180 / latDeg) - 1, Math.ceil(360 / lonDeg) - 1];
+  const where = locatedScanFilters(values, scope);
+  if (bbox) {
+    values.push(bbox.south, bbox.north, bbox.west, bbox.east);
+    const n = values.length;
+    where.push(`s.lat BETWEEN $${n - 3} AND $${n - 2} AND s.lon BETWEEN $${n - 1} AND $${n}`);
+  }
+  values.push(limit);
+  const { rows } = await pool.query(
+    `SELECT
+        LEAST(floor((s.lon + 180) / $2::float8), $4::int)::int AS x,
+        LEAST(floor((s.lat + 90) / $1::float8), $3::int)::int AS y,
+        COUNT(*)::int AS scans,
+        COUNT(s.converted_order_id)::int AS conversions,
+        AVG(s.lat)::float AS lat,
+        AVG(s.lon)::float AS lon
+       FROM scans s
+       JOIN campaigns c ON c.id = s.campaign_id
+      WHERE ${where.join(' AND ')}
+      GROUP BY 1, 2
+      ORDER BY scans DESC, x, y
+      LIMIT $${values.length}`,
+    values
+  );
+  return rows;
+}
+
+// Scans within radius_m metres of (lat, lon), nearest first. The bounding
+// box narrows the rows before the exact great-circle distance is computed.
+async function getScansNear({ lat, lon, radius_m, box, limit, ...scope }) {
+  const values = [lat, lon, radius_m, box.south, box.north, box.west, box.east];
+  const where = locatedScanFilters(values, scope);
+  values.push(limit);
+  const { rows } = await pool.query(
+    `SELECT * FROM (
+        SELECT s.id, s.campaign_id, s.scanned_at, s.lat::float AS lat, s.lon::float AS lon,
+               s.city, s.suburb, s.region, s.device_type, s.scan_source, s.flags,
+               s.converted_order_id, ${distanceSql('s.lat', 's.lon', '$1', '$2')} AS distance_m
+          FROM scans s
+          JOIN campaigns c ON c.id = s.campaign_id
+         WHERE s.lat BETWEEN $4 AND $5 AND s.lon BETWEEN $6 AND $7
+           AND ${where.join(' AND ')}
+      ) near
+      WHERE distance_m <= $3::float8
+      ORDER BY distance_m
+      LIMIT $${values.length}`,
+    values
+  );
+  return rows;
+}
+
+// End-to-end numbers for one campaign over an optional [from, to) range:
+// scans and unique scanning devices, product page views (scans whose page
+// was loaded, each counted once), orders and revenue (cancelled and refunded
+// orders excluded), advertiser commission net of reversals and the part of
+// it already paid out, and the median time from an attributed scan to its
+// order.
+async function getCampaignFunnel(campaign_id, { from = null, to = null, includeFlagged = false } = {}) {
+  const { rows } = await pool.query(
+    `WITH s AS (
+        SELECT * FROM scans
+         WHERE campaign_id=$1
+           AND ($2::timestamptz IS NULL OR scanned_at >= $2)
+           AND ($3::timestamptz IS NULL OR scanned_at < $3)
+           AND ($4 OR cardinality(flags) = 0)
+      ), o AS (
+        SELECT * FROM orders
+         WHERE campaign_id=$1
+           AND ($2::timestamptz IS NULL OR created_at >= $2)
+           AND ($3::timestamptz IS NULL OR created_at < $3)
+      ), placed AS (
+        SELECT * FROM o WHERE status NOT IN ('cancelled','refunded')
+      ), commission AS (
+        SELECT p.* FROM payouts p JOIN o ON o.id = p.order_id
+         WHERE p.type='advertiser_commission' AND p.status<>'void'
+      )
+      SELECT
+        (SELECT COUNT(*) FROM s)::int AS scans,
+        (SELECT COUNT(DISTINCT COALESCE(device_hash, id::text)) FROM s)::int AS unique_scanners,
+        (SELECT COUNT(*) FROM s WHERE viewed_at IS NOT NULL)::int AS product_views,
+        (SELECT COUNT(*) FROM placed)::int AS orders,
+        (SELECT COALESCE(SUM(total_amount), 0) FROM placed)::float AS revenue,
+        (SELECT COALESCE(SUM(amount), 0) FROM commission)::float AS commission,
+        (SELECT COALESCE(SUM(amount) FILTER (WHERE status='paid'), 0) FROM commission)::float AS commission_paid,
+        (SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM placed.created_at - sc.scanned_at))
+           FROM placed JOIN scans sc ON sc.converted_order_id = placed.id)::float AS median_seconds_to_purchase`,
+    [campaign_id, from, to, includeFlagged]
+  );
+  return rows[0];
+}
+
+// -------- Stores & placements --------
+// Fields a retailer may change on a store or placement
+const EDITABLE_STORE_FIELDS = ['name', 'address', 'lat', 'lon', 'timezone', 'opening_hours'];
+// The identifier is fixed because it is already printed
+const EDITABLE_PLACEMENT_FIELDS = ['name', 'format', 'lat', 'lon', 'printed_on'];
+const PLACEMENT_FORMATS = ['poster', 'flyer', 'screen'];
+
+async function createStore({ retailer_id, name, address = null, lat, lon, timezone = 'UTC', opening_hours = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO stores(id, retailer_id, name, address, lat, lon, timezone, opening_hours)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+    [uuidv4(), retailer_id, name, address, lat, lon, timezone, opening_hours && JSON.stringify(opening_hours)]
+  );
+  return rows[0];
+}
+
+// One retailer's stores (every store when retailer_id is null)
+async function getStores(retailer_id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM stores WHERE ($1::uuid IS NULL OR retailer_id=$1) ORDER BY name',
+    [retailer_id]
+  );
+  return rows;
+}
+
+async function getStoreById(id) {
+  const { rows } = await pool.query('SELECT * FROM stores WHERE id=$1', [id]);
+  return rows[0];
+}
+
+// Partial update; unknown keys are ignored
+async function updateStore(id, fields) {
+  const updates = EDITABLE_STORE_FIELDS.filter(key => fields[key] !== undefined);
+  if (updates.length === 0) throw new ValidationError('No editable fields supplied');
+  const values = updates.map(key => key === 'opening_hours' && fields[key] ? JSON.stringify(fields[key]) : fields[key]);
+  const { rows } = await pool.query(
+    `UPDATE stores SET ${updates.map((key, i) => `${key}=$${i + 2}`).join(', ')} WHERE id=$1 RETURNING *`,
+    [id, ...values]
+  );
+  return rows[0];
+}
+
+// Scans keep their distance but lose the link to the removed store
+async function deleteStore(id) {
+  const { rowCount } = await pool.query('DELETE FROM stores WHERE id=$1', [id]);
+  return rowCount > 0;
+}
+
+// The retailer's store closest to `point`, with its distance_m
+async function getNearestStore(retailer_id, { lat, lon }) {
+  const { rows } = await pool.query(
+    `SELECT *, ${distanceSql('lat', 'lon', '$2', '$3')} AS distance_m
+       FROM stores WHERE retailer_id=$1
+      ORDER BY distance_m LIMIT 1`,
+    [retailer_id, lat, lon]
+  );
+  return rows[0];
+}
+
+// Constraint violations specific to placements, as caller errors
+function placementError(err) {
+  if (err.constraint === 'placements_identifier_key') {
+    return new ConflictError('Placement identifier must be unique within the campaign.');
+  }
+  if (err.constraint === 'placements_coords_check') {
+    return new ValidationError('lat and lon must be set or cleared together');
+  }
+  return err;
+}
+
+async function createPlacement({ campaign_id, identifier, name, format, lat = null, lon = null, printed_on = null }) {
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO placements(id, campaign_id, identifier, name, format, lat, lon, printed_on)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+      [uuidv4(), campaign_id, identifier, name, format, lat, lon, printed_on]
+    );
+    return rows[0];
+  } catch (err) {
+    throw placementError(err);
+  }
+}
+
+async function getPlacementsByCampaign(campaign_id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM placements WHERE campaign_id=$1 ORDER BY created_at',
+    [campaign_id]
+  );
+  return rows;
+}
+
+// A placement of the given campaign, so ids from other campaigns miss
+async function getPlacement(campaign_id, id) {
+  const { rows } = await pool.query('SELECT * FROM placements WHERE id=$1 AND campaign_id=$2', [id, campaign_id]);
+  return rows[0];
+}
+
+async function getPlacementByIdentifier(campaign_id, identifier) {
+  const { rows } = await pool.query(
+    'SELECT * FROM placements WHERE campaign_id=$1 AND identifier=$2',
+    [campaign_id, identifier]
+  );
+  return rows[0];
+}
+
+async function updatePlacement(campaign_id, id, fields) {
+  const updates = EDITABLE_PLACEMENT_FIELDS.filter(key => fields[key] !== undefined);
+  if (updates.length === 0) throw new ValidationError('No editable fields supplied');
+  try {
+    const { rows } = await pool.query(
+      `UPDATE placements SET ${updates.map((key, i) => `${key}=$${i + 3}`).join(', ')}
+        WHERE id=$1 AND campaign_id=$2 RETURNING *`,
+      [id, campaign_id, ...updates.map(key => fields[key])]
+    );
+    return rows[0];
+  } catch (err) {
+    throw placementError(err);
+  }
+}
+
+// Placements that scans came through are kept for their history
+async function deletePlacement(campaign_id, id) {
+  try {
+    const { rowCount } = await pool.query('DELETE FROM placements WHERE id=$1 AND campaign_id=$2', [id, campaign_id]);
+    return rowCount > 0;
+  } catch (err) {
+    if (err.code === '23503') throw new ConflictError('Placement has recorded scans and cannot be removed');
+    throw err;
+  }
+}
+
+// The campaign's placement closest to `point`, with its distance_m
+async function getNearestPlacement(campaign_id, { lat, lon }) {
+  const { rows } = await pool.query(
+    `SELECT *, ${distanceSql('lat', 'lon', '$2', '$3')} AS distance_m
+       FROM placements WHERE campaign_id=$1 AND lat IS NOT NULL
+      ORDER BY distance_m LIMIT 1`,
+    [campaign_id, lat, lon]
+  );
+  return rows[0];
+}
+
+// Scans, unique scanners, orders and revenue per placement of a campaign
+// over an optional [from, to) range, busiest first. Scans that came through
+// the campaign's own link (or a placement link that no longer resolves) are
+// totalled in a last row with a null placement_id.
+async function getPlacementPerformance(campaign_id, { from = null, to = null, includeFlagged = false } = {}) {
+  const { rows } = await pool.query(
+    `WITH s AS (
+        SELECT sc.id, sc.placement_id, sc.device_hash, o.id AS order_id, o.total_amount
+          FROM scans sc
+          LEFT JOIN orders o ON o.id = sc.converted_order_id AND o.status NOT IN ('cancelled','refunded')
+         WHERE sc.campaign_id=$1
+           AND ($2::timestamptz IS NULL OR sc.scanned_at >= $2)
+           AND ($3::timestamptz IS NULL OR sc.scanned_at < $3)
+           AND ($4 OR cardinality(sc.flags) = 0)
+      ), per_placement AS (
+        SELECT p.id AS placement_id, p.identifier, p.name, p.format,
+               COUNT(s.id)::int AS scans,
+               COUNT(DISTINCT COALESCE(s.device_hash, s.id::text))::int AS unique_scanners,
+               COUNT(s.order_id)::int AS orders,
+               COALESCE(SUM(s.total_amount), 0)::float AS revenue
+          FROM placements p
+          LEFT JOIN s ON s.placement_id = p.id
+         WHERE p.campaign_id=$1
+         GROUP BY p.id
+      ), unattributed AS (
+        SELECT NULL::uuid, NULL, NULL, NULL,
+               COUNT(id)::int,
+               COUNT(DISTINCT COALESCE(device_hash, id::text))::int,
+               COUNT(order_id)::int,
+               COALESCE(SUM(total_amount), 0)::float
+          FROM s WHERE placement_id IS NULL
+      )
+      SELECT * FROM (SELECT * FROM per_placement UNION ALL SELECT * FROM unattributed) rows
+       ORDER BY placement_id IS NULL, scans DESC, name`,
+    [campaign_id, from, to, includeFlagged]
+  );
+  return rows;
+}
+
+// -------- User --------
+async function getUserById(id) {
+  const { rows } = await pool.query('SELECT * FROM users WHERE id=$1', [id]);
+  return rows[0];
+}
+
+// Users log in with either their username or their email
+async function getUserByLogin(login) {
+  const { rows } = await pool.query(
+    'SELECT * FROM users WHERE username=$1 OR email=$1 ORDER BY username=$1 DESC LIMIT 1',
+    [login]
+  );
+  return rows[0];
+}
+
+async function getUserByEmail(email) {
+  const { rows } = await pool.query('SELECT * FROM users WHERE email=$1 ORDER BY created_at LIMIT 1', [email]);
+  return rows[0];
+}
+
+// Only confirms the address the token was issued for, in case it changed since
+async function markEmailVerified(id, email) {
+  const { rows } = await pool.query(
+    'UPDATE users SET email_verified_at=COALESCE(email_verified_at, NOW()) WHERE id=$1 AND email=$2 RETURNING *',
+    [id, email]
+  );
+  return rows[0];
+}
+
+// New password hash; every existing session ends with the old password
+async function resetUserPassword(id, passwordHash) {
+  return withTransaction(async client => {
+    const { rows } = await client.query(
+      'UPDATE users SET password=$2 WHERE id=$1 RETURNING *',
+      [id, passwordHash]
+    );
+    if (rows[0]) await revokeUserSessions(id, client);
+    return rows[0];
+  });
+}
+
+async function getAllUsers(role) {
+  const { rows } = await pool.query(
+    'SELECT * FROM users WHERE ($1::text IS NULL OR role=$1) ORDER BY created_at DESC',
+    [role || null]
+  );
+  return rows;
+}
+
+// `password` must already be hashed
+async function createUser({ name, email, username = null, password = null, role }) {
+  const { rows } = await pool.query(
+    `INSERT INTO users(id, name, email, username, password, role, created_at)
+     VALUES($1, $2, $3, $4, $5, $6, NOW()) RETURNING *`,
+    [uuidv4(), name, email, username, password, role]
+  );
+  return rows[0];
+}
+
+// -------- Refresh tokens --------
+async function createRefreshToken({ user_id, token_hash, family_id, expires_at, user_agent = null }, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO refresh_tokens(id, user_id, token_hash, family_id, expires_at, user_agent)
+     VALUES($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [uuidv4(), user_id, token_hash, family_id, expires_at, user_agent]
+  );
+  return rows[0];
+}
+
+async function getRefreshTokenByHash(token_hash, db = pool) {
+  const { rows } = await db.query(
+    'SELECT * FROM refresh_tokens WHERE token_hash=$1 FOR UPDATE',
+    [token_hash]
+  );
+  return rows[0];
+}
+
+async function revokeRefreshToken(id, replaced_by = null, db = pool) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at=NOW(), replaced_by=$2 WHERE id=$1 AND revoked_at IS NULL',
+    [id, replaced_by]
+  );
+}
+
+async function revokeRefreshTokenFamily(family_id, db = pool) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at=NOW() WHERE family_id=$1 AND revoked_at IS NULL',
+    [family_id]
+  );
+}
+
+// Ends every session of a user: refresh tokens are revoked and the token
+// version bump invalidates access tokens that are still unexpired
+async function revokeUserSessions(user_id, db = pool) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=$1 AND revoked_at IS NULL',
+    [user_id]
+  );
+  await db.query('UPDATE users SET token_version = token_version + 1 WHERE id=$1', [user_id]);
+}
+
+async function getTokenVersion(user_id) {
+  const { rows } = await pool.query('SELECT token_version FROM users WHERE id=$1', [user_id]);
+  return rows[0] ? rows[0].token_version : null;
+}
+
+// -------- API keys --------
+// Columns that are safe to return to the key's owner
+const API_KEY_COLUMNS = 'id, user_id, name, prefix, scopes, created_at, last_used_at, revoked_at';
+
+async function createApiKey({ user_id, name, prefix, key_hash, scopes }) {
+  const { rows } = await pool.query(
+    `INSERT INTO api_keys(id, user_id, name, prefix, key_hash, scopes)
+     VALUES($1, $2, $3, $4, $5, $6) RETURNING ${API_KEY_COLUMNS}`,
+    [uuidv4(), user_id, name, prefix, key_hash, scopes]
+  );
+  return rows[0];
+}
+
+async function getApiKeysByUser(user_id) {
+  const { rows } = await pool.query(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE user_id=$1 ORDER BY created_at DESC`,
+    [user_id]
+  );
+  return rows;
+}
+
+// Resolves an active key together with its owner and stamps last_used_at
+async function useApiKey(key_hash) {
+  const { rows } = await pool.query(
+    `UPDATE api_keys k SET last_used_at=NOW()
+     FROM users u
+     WHERE k.key_hash=$1 AND k.revoked_at IS NULL AND u.id=k.user_id
+     RETURNING k.id, k.scopes, u.id AS user_id, u.role, u.email`,
+    [key_hash]
+  );
+  return rows[0];
+}
+
+async function revokeApiKey(id, user_id) {
+  const { rows } = await pool.query(
+    `UPDATE api_keys SET revoked_at=COALESCE(revoked_at, NOW())
+     WHERE id=$1 AND user_id=$2 RETURNING ${API_KEY_COLUMNS}`,
+    [id, user_id]
+  );
+  return rows[0];
+}
+
+// -------- Webhooks --------
+const WEBHOOK_EVENTS = ['scan.created', 'order.created', 'order.status_changed', 'payout.created', 'campaign.ended'];
+// Endpoint columns without the signing secret
+const WEBHOOK_ENDPOINT_COLUMNS = 'id, user_id, url, events, active, created_at';
+
+async function createWebhookEndpoint({ user_id, url, secret, events }) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_endpoints(id, user_id, url, secret, events)
+     VALUES($1, $2, $3, $4, $5) RETURNING *`,
+    [uuidv4(), user_id, url, secret, events]
+  );
+  return rows[0];
+}
+
+async function getWebhookEndpointsByUser(user_id) {
+  const { rows } = await pool.query(
+    `SELECT ${WEBHOOK_ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE user_id=$1 ORDER BY created_at DESC`,
+    [user_id]
+  );
+  return rows;
+}
+
+async function getWebhookEndpoint(id, user_id) {
+  const { rows } = await pool.query(
+    `SELECT ${WEBHOOK_ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id=$1 AND user_id=$2`,
+    [id, user_id]
+  );
+  return rows[0];
+}
+
+async function deleteWebhookEndpoint(id, user_id) {
+  const { rowCount } = await pool.query('DELETE FROM webhook_endpoints WHERE id=$1 AND user_id=$2', [id, user_id]);
+  return rowCount > 0;
+}
+
+// Queue one delivery per subscribed endpoint of the retailer the event
+// belongs to. `scope` names the retailer directly or via a campaign or order.
+// Pass the transaction client so deliveries commit or roll back with the change.
+async function queueWebhookEvent(type, { retailer_id = null, campaign_id = null, order_id = null }, data, db = pool) {
+  const { rows: endpoints } = await db.query(
+    `SELECT id FROM webhook_endpoints
+      WHERE active AND $1 = ANY(events)
+        AND user_id = COALESCE(
+          $2::uuid,
+          (SELECT retailer_id FROM campaigns WHERE id=$3::uuid),
+          (SELECT retailer_id FROM orders WHERE id=$4::uuid)
+        )`,
+    [type, retailer_id, campaign_id, order_id]
+  );
+  if (endpoints.length === 0) return;
+  const event = { id: uuidv4(), type, created_at: new Date().toISOString(), data };
+  for (const endpoint of endpoints) {
+    await db.query(
+      `INSERT INTO webhook_deliveries(id, endpoint_id, event_id, event_type, payload)
+       VALUES($1, $2, $3, $4, $5)`,
+      [uuidv4(), endpoint.id, event.id, type, JSON.stringify(event)]
+    );
+  }
+}
+
+// Campaigns whose end_date has passed are marked and their campaign.ended
+// events queued in one transaction, so each fires once
+async function queueEndedCampaignEvents() {
+  return withTransaction(async client => {
+    const { rows } = await client.query(
+      `UPDATE campaigns SET ended_notified_at=NOW()
+        WHERE end_date <= NOW() AND ended_notified_at IS NULL AND deleted_at IS NULL
+        RETURNING *`
+    );
+    for (const campaign of rows) {
+      await queueWebhookEvent('campaign.ended', { retailer_id: campaign.retailer_id }, campaign, client);
+    }
+    return rows.length;
+  });
+}
+
+// Take due deliveries for sending. The lease pushes next_attempt_at out so
+// another worker (or the next tick) won't pick them up while in flight.
+async function claimWebhookDeliveries({ limit = 20, leaseMs = 60000 } = {}) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries d
+        SET next_attempt_at = NOW() + ($2 || ' milliseconds')::interval
+       FROM webhook_endpoints e
+      WHERE e.id = d.endpoint_id
+        AND d.id IN (
+          SELECT id FROM webhook_deliveries
+           WHERE status='pending' AND next_attempt_at <= NOW()
+           ORDER BY next_attempt_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+        )
+      RETURNING d.*, e.url, e.secret`,
+    [limit, String(leaseMs)]
+  );
+  return rows;
+}
+
+// Store the outcome of one attempt. `retryAt` null means no more retries.
+async function recordWebhookAttempt(id, { ok, response_status = null, error = null, retryAt = null }) {
+  const status = ok ? 'succeeded' : (retryAt ? 'pending' : 'failed');
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries
+        SET status=$2, attempts=attempts+1, last_attempt_at=NOW(),
+            response_status=$3, last_error=$4, next_attempt_at=$5,
+            delivered_at=CASE WHEN $2='succeeded' THEN NOW() ELSE NULL END
+      WHERE id=$1 RETURNING *`,
+    [id, status, response_status, error, retryAt]
+  );
+  return rows[0];
+}
+
+async function getWebhookDeliveries(endpoint_id, { limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    'SELECT * FROM webhook_deliveries WHERE endpoint_id=$1 ORDER BY created_at DESC LIMIT $2',
+    [endpoint_id, limit]
+  );
+  return rows;
+}
+
+// Send a delivery again as a new log entry, leaving the original untouched.
+// Returns null unless the delivery belongs to one of the user's endpoints.
+async function redeliverWebhook(id, user_id) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries(id, endpoint_id, event_id, event_type, payload, redelivery_of)
+     SELECT $3, d.endpoint_id, d.event_id, d.event_type, d.payload, d.id
+       FROM webhook_deliveries d
+       JOIN webhook_endpoints e ON e.id = d.endpoint_id
+      WHERE d.id=$1 AND e.user_id=$2
+     RETURNING *`,
+    [id, user_id, uuidv4()]
   );
   return rows[0];
 }
@@ -313,7 +1564,7 @@ async function deleteRetailer(id) {
 }
 
 module.exports = {
-  getAllProducts,
+  getProducts,
   getProductById,
   createProduct,
   updateProduct,
@@ -322,21 +1573,93 @@ module.exports = {
   getCampaignById,
   getCampaignByIdentifier,
   getAllCampaigns,
+  updateCampaign,
+  setCampaignStatus,
+  deleteCampaign,
+  CAMPAIGN_STATUSES,
+  getCampaignPhase,
+  scheduleFlags,
   createOrder,
   getAllOrders,
   getOrderById,
   getOrdersByCustomer,
+  getOrdersByRetailer,
   getOrdersByDistributor,
+  updateOrderStatus,
+  getOrderStatusHistory,
+  ORDER_STATUSES,
   createPayout,
+  getPayoutLedger,
+  markPayoutPaid,
+  getCommissionsByAdvertiser,
   createAnalyticsLog,
   getAnalyticsLogs,
   createScan,
+  getScanById,
+  markScanViewed,
+  getRecentDeviceScan,
+  getScanQualityContext,
+  updateScanQuality,
+  attachScanLocation,
+  backfillScanEnrichment,
+  getScansMissingEnrichment,
   getScanSummaryByCity,
   getScanSummaryByCampaign,
+  getScanTimeSeries,
+  getCampaignFunnel,
+  getScanGrid,
+  getScansNear,
+  SCAN_DIMENSIONS,
+  SCAN_INTERVALS,
   getScansByCampaign,
+  createStore,
+  getStores,
+  getStoreById,
+  updateStore,
+  deleteStore,
+  getNearestStore,
+  createPlacement,
+  getPlacementsByCampaign,
+  getPlacement,
+  getPlacementByIdentifier,
+  updatePlacement,
+  deletePlacement,
+  getNearestPlacement,
+  getPlacementPerformance,
+  PLACEMENT_FORMATS,
+  getUserById,
+  getUserByLogin,
+  getUserByEmail,
+  markEmailVerified,
+  resetUserPassword,
+  getAllUsers,
+  createUser,
+  createRefreshToken,
+  getRefreshTokenByHash,
+  revokeRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeUserSessions,
+  getTokenVersion,
+  WEBHOOK_EVENTS,
+  createWebhookEndpoint,
+  getWebhookEndpointsByUser,
+  getWebhookEndpoint,
+  deleteWebhookEndpoint,
+  queueWebhookEvent,
+  queueEndedCampaignEvents,
+  claimWebhookDeliveries,
+  recordWebhookAttempt,
+  getWebhookDeliveries,
+  redeliverWebhook,
+  createApiKey,
+  getApiKeysByUser,
+  useApiKey,
+  revokeApiKey,
   createRetailer,
   getRetailerById,
   updateRetailer,
   deleteRetailer,
+  withTransaction,
+  ATTRIBUTION_WINDOW_HOURS,
   pool // Export the pool for use in index.js
 };
@@ -0,0 +1,49 @@
+// openingHours.js
+// Store opening hours, kept per weekday in the store's own time zone:
+//   { "mon": ["09:00-17:30"], "sat": ["10:00-14:00", "18:00-23:00"], "fri": ["20:00-02:00"] }
+// Days that are left out are closed. A range that closes at or before it
+// opens runs past midnight into the next day, and "00:00-24:00" is all day.
+// The format is checked by the OpeningHours request schema in index.js.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const minutes = time => {
+  const [hours, mins] = time.split(':').map(Number);
+  return hours * 60 + mins;
+};
+
+// Weekday index (0 = Sunday) and minutes since local midnight of `at` in timeZone
+function localTime(at, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(at));
+  const part = type => parts.find(p => p.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+    minute: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+// Whether a store with these hours is open at `at`; null when its hours are
+// unknown
+function isOpenAt(hours, timeZone, at) {
+  if (!hours) return null;
+  const { day, minute } = localTime(at, timeZone);
+  const today = hours[WEEKDAYS[day]] || [];
+  const yesterday = hours[WEEKDAYS[(day + 6) % 7]] || [];
+  const ranges = range => range.split('-').map(minutes);
+
+  return today.some(range => {
+    const [open, close] = ranges(range);
+    return close > open ? minute >= open && minute < close : minute >= open;
+  }) || yesterday.some(range => {
+    const [open, close] = ranges(range);
+    return close <= open && minute < close;
+  });
+}
+
+module.exports = { WEEKDAYS, isOpenAt };
@@ -0,0 +1,60 @@
+// ownership.js
+// Tenant checks for retailer-scoped routes. Run after authentication.
+// Resources owned by another retailer answer 404, exactly like missing ones,
+// so ids belonging to other tenants can't be probed. Admins own everything.
+const { validate: isUuid } = require('uuid');
+const models = require('./models');
+const { ForbiddenError, NotFoundError } = require('./errors');
+
+const isAdmin = user => user.role === 'admin';
+
+const RESOURCES = {
+  product: {
+    load: models.getProductById,
+    owns: (product, user) => product.retailer_id === user.id || product.distributor_id === user.id
+  },
+  campaign: {
+    load: models.getCampaignById,
+    owns: (campaign, user) => campaign.retailer_id === user.id && !campaign.deleted_at
+  },
+  store: {
+    load: models.getStoreById,
+    owns: (store, user) => store.retailer_id === user.id
+  }
+};
+
+// Loads the resource named by req.params[param] into req[kind] if the
+// authenticated retailer owns it
+function requireOwned(kind, param = 'id') {
+  const { load, owns } = RESOURCES[kind];
+  return async (req, res, next) => {
+    const id = req.params[param];
+    const resource = isUuid(id) ? await load(id) : null;
+    if (!resource || !(isAdmin(req.user) || owns(resource, req.user))) {
+      return next(new NotFoundError());
+    }
+    req[kind] = resource;
+    next();
+  };
+}
+
+// For account routes, where the id is the caller's own user id
+function requireSelf(param = 'id') {
+  return (req, res, next) => {
+    if (req.params[param] !== req.user.id && !isAdmin(req.user)) {
+      return next(new ForbiddenError('You can only access your own account'));
+    }
+    next();
+  };
+}
+
+// Body-supplied references (e.g. product_id on a campaign) must also belong
+// to the caller
+async function ownsResource(kind, id, user) {
+  if (!isUuid(id)) return false;
+  const { load, owns } = RESOURCES[kind];
+  const resource = await load(id);
+  return Boolean(resource && (isAdmin(user) || owns(resource, user)));
+}
+
+module.exports = { requireOwned, requireSelf, ownsResource };
@@ -0,0 +1,107 @@
+// rateLimit/index.js
+// Request throttling for the public endpoints and lockout for repeated
+// failed logins. Counters live in a pluggable store: any object with
+// increment(key, windowMs), get(key) and reset(key) will do.
+//
+//   RATE_LIMIT_STORE            memory | postgres   (default memory)
+//   RATE_LIMIT_<RULE>           "<max>/<seconds>", e.g. RATE_LIMIT_SCAN_IP=120/60
+//                               (rules and defaults in DEFAULT_RULES below)
+//   LOGIN_MAX_FAILURES          failed logins before an account is locked (default 5)
+//   LOGIN_LOCKOUT_SECONDS       window the failures are counted in, and how
+//                               long the lock lasts (default 900)
+const { createMemoryStore } = require('./memoryStore');
+const { createPostgresStore } = require('./postgresStore');
+
+// Requests allowed per window. *_IP rules count per client address,
+// *_CAMPAIGN rules count all traffic to one campaign.
+const DEFAULT_RULES = {
+  SCAN_IP: '60/60',
+  SCAN_CAMPAIGN: '1200/60',
+  REDIRECT_IP: '60/60',
+  REDIRECT_CAMPAIGN: '1200/60',
+  ANALYTICS_IP: '60/60',
+  GENERATE_QR_IP: '30/60',
+  LOGIN_IP: '20/60'
+};
+
+function parseRule(name, value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  if (!match) throw new Error(`RATE_LIMIT_${name} must look like <max>/<seconds>, got "${value}"`);
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * 1000 };
+}
+
+function rulesFromEnv(env = process.env) {
+  const rules = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_RULES)) {
+    rules[name] = parseRule(name, env[`RATE_LIMIT_${name}`] || fallback);
+  }
+  return rules;
+}
+
+const STORES = {
+  memory: () => createMemoryStore(),
+  postgres: ({ pool, log }) => createPostgresStore({ pool, log })
+};
+
+function storeFromEnv({ pool, log }, env = process.env) {
+  const name = env.RATE_LIMIT_STORE || 'memory';
+  if (!Object.hasOwn(STORES, name)) {
+    throw new Error(`Unknown rate limit store "${name}" (expected ${Object.keys(STORES).join(', ')})`);
+  }
+  return STORES[name]({ pool, log });
+}
+
+function createRateLimiter({ store, rules = rulesFromEnv() }) {
+  // Middleware counting requests per `keyOf(req)` under one rule. Requests
+  // without a key (e.g. a missing campaign id) are not counted here and are
+  // left for the route's own validation.
+  function limit(ruleName, keyOf) {
+    const rule = rules[ruleName];
+    if (!rule) throw new Error(`Unknown rate limit rule ${ruleName}`);
+    return async (req, res, next) => {
+      const key = keyOf(req);
+      if (key == null) return next();
+      const { count, resetAt } = await store.increment(`${ruleName}:${key}`, rule.windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((new Date(resetAt) - Date.now()) / 1000));
+      res.set({
+        'RateLimit-Limit': String(rule.max),
+        'RateLimit-Remaining': String(Math.max(0, rule.max - count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+      if (count > rule.max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ error: 'Too many requests, please slow down' });
+      }
+      next();
+    };
+  }
+
+  return { limit, store: store.name };
+}
+
+// Locks a login name after too many failures. Counting per account rather
+// than per address stops password guessing spread over many addresses.
+function createLoginLockout({
+  store,
+  maxFailures = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+  lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 900) * 1000
+}) {
+  const keyFor = login => `login-failures:${String(login).trim().toLowerCase()}`;
+
+  return {
+    // Seconds until the account unlocks, or 0 when it isn't locked
+    async lockedFor(login) {
+      const entry = await store.get(keyFor(login));
+      if (!entry || entry.count < maxFailures) return 0;
+      return Math.max(1, Math.ceil((new Date(entry.resetAt) - Date.now()) / 1000));
+    },
+    async recordFailure(login) {
+      await store.increment(keyFor(login), lockoutMs);
+    },
+    async recordSuccess(login) {
+      await store.reset(keyFor(login));
+    }
+  };
+}
+
+module.exports = { createRateLimiter, createLoginLockout, storeFromEnv, rulesFromEnv };
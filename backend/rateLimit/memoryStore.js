@@ -0,0 +1,49 @@
+// rateLimit/memoryStore.js
+// Fixed-window counters in process memory. Fine for a single instance;
+// with several instances each one counts separately.
+
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const counters = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  function current(key) {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      let entry = current(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    async get(key) {
+      const entry = current(key);
+      return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+    stop() {
+      clearInterval(sweeper);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,42 @@
+// rateLimit/postgresStore.js
+// Fixed-window counters in the rate_limit_counters table, shared by every
+// instance that uses the same database. One upsert per hit.
+
+function createPostgresStore({ pool, sweepIntervalMs = 5 * 60 * 1000, log = console }) {
+  const sweeper = setInterval(() => {
+    pool.query('DELETE FROM rate_limit_counters WHERE reset_at <= NOW()')
+      .catch(err => log.error('Rate limit sweep failed:', err.message));
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    name: 'postgres',
+    async increment(key, windowMs) {
+      const { rows } = await pool.query(
+        `INSERT INTO rate_limit_counters(key, count, reset_at)
+         VALUES($1, 1, NOW() + ($2 || ' milliseconds')::interval)
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN 1 ELSE rate_limit_counters.count + 1 END,
+           reset_at = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_counters.reset_at END
+         RETURNING count, reset_at`,
+        [key, String(windowMs)]
+      );
+      return { count: rows[0].count, resetAt: rows[0].reset_at };
+    },
+    async get(key) {
+      const { rows } = await pool.query(
+        'SELECT count, reset_at FROM rate_limit_counters WHERE key=$1 AND reset_at > NOW()',
+        [key]
+      );
+      return rows[0] ? { count: rows[0].count, resetAt: rows[0].reset_at } : null;
+    },
+    async reset(key) {
+      await pool.query('DELETE FROM rate_limit_counters WHERE key=$1', [key]);
+    },
+    stop() {
+      clearInterval(sweeper);
+    }
+  };
+}
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,67 @@
+// scanQuality.js
+// Scores how trustworthy a scan is. Each signal that fires adds a flag to the
+// scan (flagged scans are left out of summaries) and lowers its 0-100
+// quality score by the signal's weight.
+//
+//   SCAN_MAX_CLOCK_SKEW_SECONDS   scanned_at this far ahead of now is "future" (default 300)
+//   SCAN_MAX_AGE_HOURS            scanned_at this far behind now is "stale" (default 24)
+//   SCAN_MAX_TRAVEL_KMH           faster movement between a device's scans is impossible (default 900)
+//   SCAN_IP_BURST                 "<max>/<seconds>" scans from one address before
+//                                 further ones count as a burst (default 20/60)
+const { parseDeviceType } = require('./userAgent');
+const { distanceMeters } = require('./geo');
+
+const MAX_CLOCK_SKEW_MS = (parseInt(process.env.SCAN_MAX_CLOCK_SKEW_SECONDS, 10) || 300) * 1000;
+const MAX_AGE_MS = (parseFloat(process.env.SCAN_MAX_AGE_HOURS) || 24) * 3600 * 1000;
+const MAX_TRAVEL_KMH = parseFloat(process.env.SCAN_MAX_TRAVEL_KMH) || 900;
+const [IP_BURST_MAX, IP_BURST_SECONDS] = (process.env.SCAN_IP_BURST || '20/60').split('/').map(Number);
+// GPS noise between nearby scans shouldn't read as travel
+const TRAVEL_MIN_DISTANCE_M = 1000;
+
+const SIGNAL_WEIGHTS = {
+  bot: 100,
+  future_timestamp: 60,
+  stale_timestamp: 40,
+  impossible_travel: 70,
+  outside_campaign_area: 50,
+  ip_burst: 50
+};
+
+const hasCoords = point => point && point.lat != null && point.lon != null;
+
+// `scan` holds scanned_at, lat, lon and user_agent. `previous` is the same
+// device's latest earlier scan with coordinates, and `recentIpScans` the
+// number of scans from the client's address in the last IP_BURST_SECONDS;
+// leave them out when the device or address is unknown.
+function assessScan({ scan, campaign, previous = null, recentIpScans = 0, now = new Date() }) {
+  const flags = [];
+  const scannedAt = new Date(scan.scanned_at).getTime();
+
+  if (parseDeviceType(scan.user_agent) === 'bot') flags.push('bot');
+  if (scannedAt - now.getTime() > MAX_CLOCK_SKEW_MS) flags.push('future_timestamp');
+  if (now.getTime() - scannedAt > MAX_AGE_MS) flags.push('stale_timestamp');
+
+  if (hasCoords(scan) && hasCoords(previous)) {
+    const meters = distanceMeters(scan, previous);
+    const hours = Math.abs(scannedAt - new Date(previous.scanned_at).getTime()) / 3600000;
+    // Anything under a minute apart is judged as if a minute had passed
+    if (meters > TRAVEL_MIN_DISTANCE_M && meters / 1000 / Math.max(hours, 1 / 60) > MAX_TRAVEL_KMH) {
+      flags.push('impossible_travel');
+    }
+  }
+
+  if (hasCoords(scan) && campaign && campaign.location_radius_km != null &&
+      campaign.location_lat != null && campaign.location_lon != null) {
+    const center = { lat: campaign.location_lat, lon: campaign.location_lon };
+    if (distanceMeters(scan, center) > Number(campaign.location_radius_km) * 1000) {
+      flags.push('outside_campaign_area');
+    }
+  }
+
+  if (recentIpScans >= IP_BURST_MAX) flags.push('ip_burst');
+
+  const penalty = flags.reduce((sum, flag) => sum + SIGNAL_WEIGHTS[flag], 0);
+  return { flags, quality_score: Math.max(0, 100 - penalty) };
+}
+
+module.exports = { assessScan, SIGNAL_WEIGHTS, IP_BURST_SECONDS };
@@ -12,104 +12,18 @@ const pool = new Pool({
 async function seed() {
   const client = await pool.connect();
   try {
-    console.log('▶️ Dropping and recreating tables…');
-    await client.query(`
-      DROP TABLE IF EXISTS scans CASCADE;
-      DROP TABLE IF EXISTS analytics CASCADE;
-      DROP TABLE IF EXISTS payouts CASCADE;
-      DROP TABLE IF EXISTS orders CASCADE;
-      DROP TABLE IF EXISTS campaigns CASCADE;
-      DROP TABLE IF EXISTS products CASCADE;
-      DROP TABLE IF EXISTS users CASCADE;
-
-      CREATE TABLE users (
-        id UUID PRIMARY KEY,
-        name TEXT NOT NULL,
-        email TEXT NOT NULL UNIQUE,
-        username TEXT UNIQUE,
-        password TEXT,
-        role TEXT NOT NULL CHECK(role IN ('customer','advertiser','distributor','retailer','admin')),
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      );
-
-      CREATE TABLE products (
-        id UUID PRIMARY KEY,
-        distributor_id UUID REFERENCES users(id),
-        retailer_id UUID REFERENCES users(id),
-        name TEXT NOT NULL,
-        price NUMERIC NOT NULL,
-        description TEXT,
-        image_url TEXT,
-        stock_quantity INTEGER NOT NULL,
-        product_url TEXT,
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      );
-
-      CREATE TABLE campaigns (
-        id UUID PRIMARY KEY,
-        retailer_id UUID REFERENCES users(id),
-        product_id   UUID REFERENCES products(id),
-        campaign_name TEXT NOT NULL,
-        start_date    TIMESTAMPTZ,
-        end_date      TIMESTAMPTZ,
-        qr_code_identifier TEXT NOT NULL UNIQUE,
-        commission_percent INTEGER NOT NULL,
-        location      TEXT,
-        created_at    TIMESTAMPTZ DEFAULT NOW()
-      );
-
-      CREATE TABLE orders (
-        id UUID PRIMARY KEY,
-        customer_id UUID REFERENCES users(id),
-        product_id  UUID REFERENCES products(id),
-        campaign_id UUID REFERENCES campaigns(id),
-        retailer_id UUID REFERENCES users(id),
-        quantity    INTEGER NOT NULL,
-        total_amount NUMERIC NOT NULL,
-        commission_amount NUMERIC NOT NULL,
-        shipping_address TEXT NOT NULL,
-        created_at  TIMESTAMPTZ DEFAULT NOW()
-      );
-
-      CREATE TABLE payouts (
-        id UUID PRIMARY KEY,
-        recipient_id UUID REFERENCES users(id),
-        order_id     UUID REFERENCES orders(id),
-        amount       NUMERIC NOT NULL,
-        type         TEXT NOT NULL CHECK(type IN ('advertiser_commission','distributor_revenue')),
-        created_at   TIMESTAMPTZ DEFAULT NOW()
-      );
-
-      CREATE TABLE analytics (
-        id UUID PRIMARY KEY,
-        adlocation TEXT NOT NULL,
-        format     TEXT NOT NULL,
-        clicks     INTEGER DEFAULT 0,
-        conversions INTEGER DEFAULT 0,
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      );
+    // Non-destructive: the schema comes from `node migrate.js up`, and a
+    // database that already holds the demo data is left untouched.
+    const { rows: existing } = await client.query(
+      'SELECT 1 FROM users WHERE email=$1',
+      ['retailer@example.com']
+    );
+    if (existing.length > 0) {
+      console.log('ℹ️ Demo data already present, nothing to seed.');
+      return;
+    }
 
-      CREATE TABLE scans (
-        id UUID PRIMARY KEY,
-        campaign_id UUID REFERENCES campaigns(id),
-        scanned_at  TIMESTAMPTZ NOT NULL,
-        lat         NUMERIC NOT NULL,
-        lon         NUMERIC NOT NULL,
-        city        TEXT,
-        suburb      TEXT,
-        region      TEXT,
-        weather     JSONB,
-        distance_to_store_m INTEGER,
-        nearest_poi TEXT,
-        distance_to_poi_m INTEGER,
-        user_agent  TEXT,
-        converted_order_id UUID REFERENCES orders(id),
-        device_type TEXT,
-        referrer    TEXT,
-        scan_source TEXT,
-        created_at  TIMESTAMPTZ DEFAULT NOW()
-      );
-    `);
+    await client.query('BEGIN');
 
     console.log('▶️ Seeding users…');
     const users = [
@@ -122,9 +36,10 @@ async function seed() {
       { name: 'Mall Admin',           email: 'admin@mall.com',       username: null, password: null, role: 'admin' }
     ].map(u => ({ id: uuidv4(), ...u }));
 
+    // Seeded accounts count as verified so the demo retailer can publish
     for (const u of users) {
       await client.query(
-        `INSERT INTO users(id,name,email,username,password,role) VALUES($1,$2,$3,$4,$5,$6)`,
+        `INSERT INTO users(id,name,email,username,password,role,email_verified_at) VALUES($1,$2,$3,$4,$5,$6,NOW())`,
         [u.id, u.name, u.email, u.username, u.password, u.role]
       );
     }
@@ -409,9 +324,13 @@ async function seed() {
       );
     }
 
+    await client.query('COMMIT');
     console.log('✅ Deep seed complete!');
   } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('❌ Seed error:', err);
+    if (err.code === '42P01') console.error('   Run `node migrate.js up` before seeding.');
+    process.exitCode = 1;
   } finally {
     client.release();
     await pool.end();
@@ -423,6 +342,8 @@ seed();
 /*
 Summary of recent backend changes for GlassCart:
 
+- The database schema now lives in versioned migrations (see migrate.js); seeding
+  only inserts demo data and never drops tables.
 - The database schema and seed data were upgraded for richer analytics and e-commerce tracking.
 - The `scans` table now stores detailed info for every QR scan, including:
     - Geo location (lat/lon, city, suburb, region)
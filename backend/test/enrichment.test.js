@@ -0,0 +1,47 @@
+// test/enrichment.test.js
+// The enrichment service with the offline providers and an in-memory models
+// stand-in: weather is the current weather, so only recent scans get it.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnrichmentService } = require('../enrichment');
+const { createOfflineGeocoder, createOfflineWeatherProvider } = require('../enrichment/offline');
+
+function service(models) {
+  return createEnrichmentService({
+    models: { backfillScanEnrichment: async (id, fields) => ({ id, ...fields }), ...models },
+    geocoder: createOfflineGeocoder(),
+    weather: createOfflineWeatherProvider(),
+    weatherTtlMs: 30 * 60 * 1000
+  });
+}
+
+const scan = minutesAgo => ({
+  id: `scan-${minutesAgo}`,
+  lat: '-36.85',
+  lon: '174.76',
+  scanned_at: new Date(Date.now() - minutesAgo * 60 * 1000)
+});
+
+describe('enrichScan', () => {
+  it('fills in place and weather for a recent scan', async () => {
+    const updated = await service().enrichScan(scan(5));
+    assert.equal(updated.city, 'Auckland');
+    assert.ok(updated.weather);
+  });
+
+  it('leaves weather empty for a scan older than the weather TTL', async () => {
+    const updated = await service().enrichScan(scan(90));
+    assert.equal(updated.city, 'Auckland');
+    assert.equal(updated.weather, undefined);
+  });
+});
+
+describe('sweep', () => {
+  it('asks only for weather within the weather TTL', async () => {
+    let query;
+    await service({ getScansMissingEnrichment: async args => { query = args; return []; } }).sweep();
+    assert.equal(query.needsWeather, true);
+    assert.equal(query.weatherMaxAgeSeconds, 30 * 60);
+  });
+});
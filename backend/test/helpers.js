@@ -0,0 +1,75 @@
+// test/helpers.js
+// Shared setup for the route tests: the app on an ephemeral port, a JSON
+// client for it and throwaway retailers. Needs DATABASE_URL pointing at a
+// migrated database.
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../index');
+const models = require('../models');
+
+let server;
+let baseUrl;
+
+async function startServer() {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stopServer() {
+  await new Promise(resolve => server.close(resolve));
+  await models.pool.end();
+}
+
+// `token` may be a session token or an API key. Bodies other than JSON
+// come back as text.
+async function call(method, path, { token, body } = {}) {
+  const res = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      ...(token && { authorization: `Bearer ${token}` }),
+      ...(body && { 'content-type': 'application/json' })
+    },
+    body: body && JSON.stringify(body)
+  });
+  const text = await res.text();
+  const json = /application\/json/.test(res.headers.get('content-type'));
+  return { status: res.status, body: text ? (json ? JSON.parse(text) : text) : null };
+}
+
+// A verified retailer, logged in: { id, token, refresh_token }
+async function createRetailer() {
+  const tag = uuidv4().slice(0, 8);
+  const username = `test-${tag}`;
+  const created = await call('POST', '/retailers', {
+    body: { name: `Retailer ${tag}`, email: `${tag}@example.test`, username, password: 'secret' }
+  });
+  assert.equal(created.status, 201);
+  // Unverified retailers can't publish campaigns
+  await models.pool.query('UPDATE users SET email_verified_at=NOW() WHERE id=$1', [created.body.id]);
+  const login = await call('POST', '/retailers/login', { body: { username, password: 'secret' } });
+  assert.equal(login.status, 200);
+  return { id: created.body.id, token: login.body.token, refresh_token: login.body.refresh_token };
+}
+
+// Deletes the retailers and everything they created
+async function removeRetailers(ids) {
+  ids = ids.filter(Boolean);
+  const orders = 'SELECT id FROM orders WHERE retailer_id = ANY($1)';
+  await models.pool.query(`DELETE FROM payouts WHERE order_id IN (${orders})`, [ids]);
+  await models.pool.query(`UPDATE scans SET converted_order_id=NULL WHERE converted_order_id IN (${orders})`, [ids]);
+  await models.pool.query('DELETE FROM orders WHERE retailer_id = ANY($1)', [ids]);
+  await models.pool.query(
+    'DELETE FROM scans WHERE campaign_id IN (SELECT id FROM campaigns WHERE retailer_id = ANY($1))',
+    [ids]
+  );
+  await models.pool.query('DELETE FROM campaigns WHERE retailer_id = ANY($1)', [ids]);
+  await models.pool.query('DELETE FROM products WHERE retailer_id = ANY($1)', [ids]);
+  await models.pool.query('DELETE FROM users WHERE id = ANY($1)', [ids]);
+}
+
+module.exports = { startServer, stopServer, call, createRetailer, removeRetailers };
@@ -0,0 +1,159 @@
+// test/orders.test.js
+// Placing orders: commission only flows through an active campaign for the
+// ordered product, the status history records who placed the order, and
+// status changes follow the lifecycle. Cancelling or refunding restores
+// stock and voids or offsets the order's payouts.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+let retailer;
+let lamp;
+let chair;
+let campaign;
+
+async function createCampaign(product_id, extra = {}) {
+  const { status, body } = await call('POST', '/campaigns', {
+    token: retailer.token,
+    body: {
+      product_id,
+      campaign_name: 'Window poster',
+      qr_code_identifier: `test-${uuidv4()}`,
+      commission_percent: 10,
+      ...extra
+    }
+  });
+  assert.equal(status, 201);
+  return body.id;
+}
+
+function order(fields) {
+  return call('POST', '/orders', {
+    body: { customer_id: retailer.id, shipping_address: '1 Queen St', ...fields }
+  });
+}
+
+function setStatus(orderId, status) {
+  return call('PATCH', `/orders/${orderId}/status`, { token: retailer.token, body: { status } });
+}
+
+before(async () => {
+  await startServer();
+  retailer = await createRetailer();
+  for (const name of ['Lamp', 'Chair']) {
+    const { status, body } = await call('POST', '/products', {
+      token: retailer.token,
+      body: { name, price: 20, stock_quantity: 10 }
+    });
+    assert.equal(status, 201);
+    if (name === 'Lamp') lamp = body.id;
+    else chair = body.id;
+  }
+  campaign = await createCampaign(lamp);
+});
+
+after(async () => {
+  await removeRetailers([retailer && retailer.id]);
+  await stopServer();
+});
+
+describe('POST /orders', () => {
+  it('accepts an active campaign for the product', async () => {
+    const { status, body } = await order({ product_id: lamp, campaign_id: campaign });
+    assert.equal(status, 201);
+    assert.equal(body.campaign_id, campaign);
+  });
+
+  it('records an anonymous checkout without an actor', async () => {
+    const placed = await order({ product_id: lamp, campaign_id: campaign });
+    assert.equal(placed.status, 201);
+    const { status, body } = await call('GET', `/orders/${placed.body.id}/history`, { token: retailer.token });
+    assert.equal(status, 200);
+    assert.equal(body[0].actor_id, null);
+  });
+
+  it('rejects a campaign for another product', async () => {
+    const { status, body } = await order({ product_id: chair, campaign_id: campaign });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Campaign is not for this product');
+  });
+
+  it('rejects a campaign that is not active', async () => {
+    const draft = await createCampaign(lamp, { status: 'draft' });
+    assert.equal((await order({ product_id: lamp, campaign_id: draft })).status, 400);
+
+    // Scanned campaigns are archived rather than deleted
+    const removed = await createCampaign(lamp);
+    const scan = await call('POST', '/analytics/scan', {
+      body: { campaign_id: removed, scanned_at: new Date().toISOString(), coords: { lat: -36.85, lon: 174.76 } }
+    });
+    assert.equal(scan.status, 201);
+    assert.equal((await call('DELETE', `/campaigns/${removed}`, { token: retailer.token })).status, 204);
+    assert.equal((await order({ product_id: lamp, campaign_id: removed })).status, 400);
+  });
+});
+
+describe('PATCH /orders/:id/status', () => {
+  async function stockOf(productId) {
+    return (await call('GET', `/products/${productId}`)).body.stock_quantity;
+  }
+
+  it('refuses transitions the lifecycle doesn\'t allow', async () => {
+    const placed = await order({ product_id: lamp });
+    assert.equal((await setStatus(placed.body.id, 'shipped')).status, 409);
+    assert.equal((await setStatus(placed.body.id, 'lost')).status, 400);
+    assert.equal((await setStatus(placed.body.id, 'cancelled')).status, 200);
+    // Cancelled is terminal
+    assert.equal((await setStatus(placed.body.id, 'paid')).status, 409);
+  });
+
+  it('puts the stock back when an order is cancelled', async () => {
+    const before = await stockOf(chair);
+    const placed = await order({ product_id: chair, quantity: 3 });
+    assert.equal(placed.status, 201);
+    assert.equal(await stockOf(chair), before - 3);
+    assert.equal((await setStatus(placed.body.id, 'cancelled')).status, 200);
+    assert.equal(await stockOf(chair), before);
+  });
+});
+
+describe('payouts of a cancelled or refunded order', () => {
+  // The order's payouts, from the retailer's ledger (the product has no
+  // distributor, so its revenue goes to the retailer)
+  async function payoutsFor(orderId) {
+    const { status, body } = await call('GET', `/payouts/ledger/${retailer.id}`, { token: retailer.token });
+    assert.equal(status, 200);
+    return body.entries.filter(entry => entry.order_id === orderId);
+  }
+
+  it('voids pending payouts on cancel so they can\'t be settled', async () => {
+    const placed = await order({ product_id: lamp });
+    assert.equal(placed.status, 201);
+    const [payout] = await payoutsFor(placed.body.id);
+    assert.equal(payout.status, 'pending');
+
+    const cancelled = await setStatus(placed.body.id, 'cancelled');
+    assert.equal(cancelled.status, 200);
+    assert.deepEqual(cancelled.body.reversed_payouts.map(entry => entry.status), ['void']);
+    assert.equal((await call('POST', `/payouts/${payout.id}/mark-paid`, { token: retailer.token })).status, 409);
+
+    const entries = await payoutsFor(placed.body.id);
+    assert.deepEqual(entries.map(entry => entry.status), ['void']);
+  });
+
+  it('offsets paid payouts on refund and won\'t settle the reversal', async () => {
+    const placed = await order({ product_id: lamp });
+    const [payout] = await payoutsFor(placed.body.id);
+    assert.equal((await call('POST', `/payouts/${payout.id}/mark-paid`, { token: retailer.token })).status, 200);
+    assert.equal((await setStatus(placed.body.id, 'paid')).status, 200);
+
+    const refunded = await setStatus(placed.body.id, 'refunded');
+    assert.equal(refunded.status, 200);
+    const [reversal] = refunded.body.reversed_payouts;
+    assert.equal(reversal.reverses_payout_id, payout.id);
+    assert.equal(Number(reversal.amount), -Number(payout.amount));
+    assert.equal((await call('POST', `/payouts/${reversal.id}/mark-paid`, { token: retailer.token })).status, 409);
+  });
+});
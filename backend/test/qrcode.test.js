@@ -0,0 +1,72 @@
+// test/qrcode.test.js
+// GET /qrcode/:campaignId only serves codes for campaigns that can still be
+// printed: not ended, archived or deleted.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+let retailer;
+let product;
+
+async function createCampaign(extra = {}) {
+  const { status, body } = await call('POST', '/campaigns', {
+    token: retailer.token,
+    body: {
+      product_id: product,
+      campaign_name: 'Window poster',
+      qr_code_identifier: `test-${uuidv4()}`,
+      commission_percent: 10,
+      ...extra
+    }
+  });
+  assert.equal(status, 201);
+  return body.id;
+}
+
+before(async () => {
+  await startServer();
+  retailer = await createRetailer();
+  const created = await call('POST', '/products', { token: retailer.token, body: { name: 'Lamp', price: 25 } });
+  assert.equal(created.status, 201);
+  product = created.body.id;
+});
+
+after(async () => {
+  await removeRetailers([retailer && retailer.id]);
+  await stopServer();
+});
+
+describe('GET /qrcode/:campaignId', () => {
+  it('serves a live campaign\'s code', async () => {
+    const { status } = await call('GET', `/qrcode/${await createCampaign()}?format=svg`);
+    assert.equal(status, 200);
+  });
+
+  it('refuses an ended campaign', async () => {
+    const campaign = await createCampaign({ end_date: new Date(Date.now() - 3600e3).toISOString() });
+    const { status, body } = await call('GET', `/qrcode/${campaign}`);
+    assert.equal(status, 410);
+    assert.equal(body, 'Campaign has ended');
+  });
+
+  it('refuses an archived campaign', async () => {
+    const campaign = await createCampaign();
+    const archived = await call('PATCH', `/campaigns/${campaign}/status`, { token: retailer.token, body: { status: 'archived' } });
+    assert.equal(archived.status, 200);
+    const { status, body } = await call('GET', `/qrcode/${campaign}`);
+    assert.equal(status, 410);
+    assert.equal(body, 'Campaign has been removed');
+  });
+
+  it('refuses a deleted campaign kept for its scans', async () => {
+    const campaign = await createCampaign();
+    const scan = await call('POST', '/analytics/scan', {
+      body: { campaign_id: campaign, scanned_at: new Date().toISOString(), coords: { lat: -36.85, lon: 174.76 } }
+    });
+    assert.equal(scan.status, 201);
+    assert.equal((await call('DELETE', `/campaigns/${campaign}`, { token: retailer.token })).status, 204);
+    assert.equal((await call('GET', `/qrcode/${campaign}`)).status, 410);
+  });
+});
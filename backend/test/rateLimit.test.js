@@ -0,0 +1,52 @@
+// test/rateLimit.test.js
+// Login lockout and scan throttling, with limits low enough to reach in a
+// few requests. Counters live in the default in-memory store, so they start
+// empty for this file.
+
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.RATE_LIMIT_SCAN_CAMPAIGN = '2/60';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+let retailer;
+let username;
+
+function login(password) {
+  return call('POST', '/retailers/login', { body: { username, password } });
+}
+
+before(async () => {
+  await startServer();
+  retailer = await createRetailer();
+  username = (await call('GET', `/retailers/${retailer.id}`, { token: retailer.token })).body.username;
+});
+
+after(async () => {
+  await removeRetailers([retailer && retailer.id]);
+  await stopServer();
+});
+
+describe('login lockout', () => {
+  it('locks the account after LOGIN_MAX_FAILURES failed logins', async () => {
+    for (let i = 0; i < 3; i++) assert.equal((await login('wrong')).status, 401);
+    const locked = await login('secret');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.error, 'Too many failed login attempts, try again later');
+  });
+});
+
+describe('scan rate limit', () => {
+  it('answers 429 once a campaign has had its scans for the window', async () => {
+    // Counted before the campaign is looked up, so an unknown one will do
+    const campaign_id = uuidv4();
+    const report = () => call('POST', '/analytics/scan', {
+      body: { campaign_id, scanned_at: new Date().toISOString(), coords: { lat: -36.85, lon: 174.76 } }
+    });
+    assert.equal((await report()).status, 404);
+    assert.equal((await report()).status, 404);
+    assert.equal((await report()).status, 429);
+  });
+});
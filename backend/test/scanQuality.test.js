@@ -0,0 +1,112 @@
+// test/scanQuality.test.js
+// assessScan with the default thresholds: each signal adds its flag and
+// lowers the score by its weight.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assessScan, SIGNAL_WEIGHTS } = require('../scanQuality');
+
+const now = new Date('2026-03-01T12:00:00Z');
+const PHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148';
+const AUCKLAND = { lat: -36.85, lon: 174.76 };
+const WELLINGTON = { lat: -41.29, lon: 174.78 };
+
+const ago = ms => new Date(now.getTime() - ms);
+const minutes = n => n * 60 * 1000;
+
+function assess({ scan, ...rest }) {
+  return assessScan({ scan: { scanned_at: now, user_agent: PHONE, ...scan }, now, ...rest });
+}
+
+// `scan` moved `northKm` north of Auckland, `msLater` after the previous scan there
+function travel(northKm, msLater) {
+  return assess({
+    scan: { lat: AUCKLAND.lat + northKm / 111.2, lon: AUCKLAND.lon },
+    previous: { ...AUCKLAND, scanned_at: ago(msLater) }
+  });
+}
+
+describe('assessScan', () => {
+  it('passes an ordinary scan with a full score', () => {
+    assert.deepEqual(assess({ scan: AUCKLAND }), { flags: [], quality_score: 100 });
+  });
+
+  it('flags a crawler user agent as a bot', () => {
+    const result = assess({ scan: { user_agent: 'Mozilla/5.0 (compatible; Googlebot/2.1)' } });
+    assert.deepEqual(result.flags, ['bot']);
+    assert.equal(result.quality_score, 100 - SIGNAL_WEIGHTS.bot);
+  });
+
+  it('flags scanned_at beyond the allowed clock skew', () => {
+    assert.deepEqual(assess({ scan: { scanned_at: ago(-minutes(4)) } }).flags, []);
+    const result = assess({ scan: { scanned_at: ago(-minutes(10)) } });
+    assert.deepEqual(result.flags, ['future_timestamp']);
+    assert.equal(result.quality_score, 100 - SIGNAL_WEIGHTS.future_timestamp);
+  });
+
+  it('flags scanned_at older than the maximum age', () => {
+    assert.deepEqual(assess({ scan: { scanned_at: ago(minutes(23 * 60)) } }).flags, []);
+    assert.deepEqual(assess({ scan: { scanned_at: ago(minutes(25 * 60)) } }).flags, ['stale_timestamp']);
+  });
+
+  describe('impossible travel', () => {
+    it('flags a device that moved faster than any flight', () => {
+      const result = assess({ scan: WELLINGTON, previous: { ...AUCKLAND, scanned_at: ago(minutes(10)) } });
+      assert.deepEqual(result.flags, ['impossible_travel']);
+      assert.equal(result.quality_score, 100 - SIGNAL_WEIGHTS.impossible_travel);
+    });
+
+    it('allows the same trip with enough time for it', () => {
+      const result = assess({ scan: WELLINGTON, previous: { ...AUCKLAND, scanned_at: ago(minutes(120)) } });
+      assert.deepEqual(result.flags, []);
+    });
+
+    it('ignores movement under 1 km as GPS noise', () => {
+      assert.deepEqual(travel(0.9, 1000).flags, []);
+    });
+
+    it('judges scans under a minute apart as a minute apart', () => {
+      // 5 km in one second is 300 km/h over the minute floor
+      assert.deepEqual(travel(5, 1000).flags, []);
+      // 20 km is 1200 km/h even over a minute
+      assert.deepEqual(travel(20, 1000).flags, ['impossible_travel']);
+    });
+
+    it('needs coordinates on both scans', () => {
+      const result = assess({ scan: {}, previous: { ...AUCKLAND, scanned_at: ago(1000) } });
+      assert.deepEqual(result.flags, []);
+    });
+  });
+
+  describe('campaign area', () => {
+    const campaign = { location_lat: '-36.85', location_lon: '174.76', location_radius_km: '10' };
+
+    it('flags a scan outside the campaign radius', () => {
+      const result = assess({ scan: WELLINGTON, campaign });
+      assert.deepEqual(result.flags, ['outside_campaign_area']);
+      assert.equal(result.quality_score, 100 - SIGNAL_WEIGHTS.outside_campaign_area);
+    });
+
+    it('passes a scan inside it, and any scan for a campaign without an area', () => {
+      assert.deepEqual(assess({ scan: { lat: -36.9, lon: 174.8 }, campaign }).flags, []);
+      assert.deepEqual(assess({ scan: WELLINGTON, campaign: { location_radius_km: null } }).flags, []);
+    });
+  });
+
+  it('flags a burst of scans from one address', () => {
+    assert.deepEqual(assess({ scan: AUCKLAND, recentIpScans: 19 }).flags, []);
+    const result = assess({ scan: AUCKLAND, recentIpScans: 20 });
+    assert.deepEqual(result.flags, ['ip_burst']);
+    assert.equal(result.quality_score, 100 - SIGNAL_WEIGHTS.ip_burst);
+  });
+
+  it('adds up the weights of several signals, bottoming out at 0', () => {
+    const result = assess({
+      scan: { ...WELLINGTON, scanned_at: ago(minutes(25 * 60)) },
+      previous: { ...AUCKLAND, scanned_at: ago(minutes(25 * 60 + 10)) },
+      recentIpScans: 50
+    });
+    assert.deepEqual(result.flags, ['stale_timestamp', 'impossible_travel', 'ip_burst']);
+    assert.equal(result.quality_score, 0);
+  });
+});
@@ -0,0 +1,82 @@
+// test/scans.test.js
+// Scan ingest on the public POST /analytics/scan, which only trusts scan ids
+// the redirect issued, and how flagged scans show up in the summaries.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+let retailer;
+let product;
+
+async function createCampaign() {
+  const { status, body } = await call('POST', '/campaigns', {
+    token: retailer.token,
+    body: {
+      product_id: product,
+      campaign_name: 'Window poster',
+      qr_code_identifier: `test-${uuidv4()}`,
+      commission_percent: 10
+    }
+  });
+  assert.equal(status, 201);
+  return body.id;
+}
+
+function scan(campaign_id, fields) {
+  return call('POST', '/analytics/scan', {
+    body: { campaign_id, coords: { lat: -36.85, lon: 174.76 }, ...fields }
+  });
+}
+
+before(async () => {
+  await startServer();
+  retailer = await createRetailer();
+  const created = await call('POST', '/products', { token: retailer.token, body: { name: 'Lamp', price: 25 } });
+  assert.equal(created.status, 201);
+  product = created.body.id;
+});
+
+after(async () => {
+  await removeRetailers([retailer && retailer.id]);
+  await stopServer();
+});
+
+describe('POST /analytics/scan', () => {
+  it('rejects a request without a body as invalid', async () => {
+    const { status, body } = await call('POST', '/analytics/scan');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'validation_failed');
+  });
+
+  it('ignores a scan_id no redirect recorded and picks its own id', async () => {
+    const scan_id = uuidv4();
+    const { status, body } = await scan(await createCampaign(), { scan_id, scanned_at: new Date().toISOString() });
+    assert.equal(status, 201);
+    assert.notEqual(body.id, scan_id);
+  });
+});
+
+describe('scan summaries', () => {
+  it('leave out flagged scans unless include_flagged=true', async () => {
+    const campaign = await createCampaign();
+    const clean = await scan(campaign, { scanned_at: new Date().toISOString(), user_agent: 'Mozilla/5.0 (iPhone) Mobile' });
+    assert.equal(clean.status, 201);
+    assert.deepEqual(clean.body.flags, []);
+    const stale = await scan(campaign, {
+      scanned_at: new Date(Date.now() - 48 * 3600 * 1000).toISOString(),
+      user_agent: 'Mozilla/5.0 (Android 14) Mobile'
+    });
+    assert.equal(stale.status, 201);
+    assert.deepEqual(stale.body.flags, ['stale_timestamp']);
+
+    const path = `/analytics/scans/summary/campaign/${campaign}`;
+    const summary = await call('GET', path, { token: retailer.token });
+    assert.equal(summary.status, 200);
+    assert.deepEqual(summary.body.map(row => row.flags), [[]]);
+    const withFlagged = await call('GET', `${path}?include_flagged=true`, { token: retailer.token });
+    assert.equal(withFlagged.status, 200);
+    assert.deepEqual(withFlagged.body.map(row => row.flags).sort(), [[], ['stale_timestamp']]);
+  });
+});
@@ -0,0 +1,80 @@
+// test/session.test.js
+// Routes that act on the login session itself take session tokens only: an
+// API key, whatever its scopes, must not read the account, resend mail or
+// revoke the owner's sessions. Refresh tokens are single-use, and logging
+// out everywhere ends every token of the account.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+let retailer;
+let replayed;
+let loggedOut;
+let apiKey;
+
+function refresh(refresh_token) {
+  return call('POST', '/auth/refresh', { body: { refresh_token } });
+}
+
+before(async () => {
+  await startServer();
+  retailer = await createRetailer();
+  replayed = await createRetailer();
+  loggedOut = await createRetailer();
+  const created = await call('POST', '/api-keys', {
+    token: retailer.token,
+    body: { name: 'Till', scopes: ['scans-write', 'read-only'] }
+  });
+  assert.equal(created.status, 201);
+  apiKey = created.body.key;
+});
+
+after(async () => {
+  await removeRetailers([retailer, replayed, loggedOut].map(user => user && user.id));
+  await stopServer();
+});
+
+describe('session routes', () => {
+  it('turn API keys away', async () => {
+    assert.equal((await call('GET', '/auth/me', { token: apiKey })).status, 403);
+    assert.equal((await call('POST', '/auth/resend-verification', { token: apiKey })).status, 403);
+    assert.equal((await call('POST', '/auth/logout', { token: apiKey, body: { refresh_token: retailer.refresh_token } })).status, 403);
+    assert.equal((await call('POST', '/auth/logout-all', { token: apiKey })).status, 403);
+  });
+
+  it('leave the owner\'s session alive', async () => {
+    const { status, body } = await call('GET', '/auth/me', { token: retailer.token });
+    assert.equal(status, 200);
+    assert.equal(body.id, retailer.id);
+  });
+
+  it('still log out a session token', async () => {
+    assert.equal((await call('POST', '/auth/logout-all', { token: retailer.token })).status, 204);
+    assert.equal((await call('GET', '/auth/me', { token: retailer.token })).status, 401);
+  });
+});
+
+describe('refresh tokens', () => {
+  it('revoke the whole login when a rotated token is presented again', async () => {
+    const first = await refresh(replayed.refresh_token);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refresh_token, replayed.refresh_token);
+
+    assert.equal((await refresh(replayed.refresh_token)).status, 401);
+    // The token issued by the legitimate rotation went with it
+    assert.equal((await refresh(first.body.refresh_token)).status, 401);
+  });
+
+  it('stop working, along with access tokens, after logout-all', async () => {
+    const login = await refresh(loggedOut.refresh_token);
+    assert.equal(login.status, 200);
+    assert.equal((await call('GET', '/auth/me', { token: login.body.token })).status, 200);
+
+    assert.equal((await call('POST', '/auth/logout-all', { token: login.body.token })).status, 204);
+    assert.equal((await call('GET', '/auth/me', { token: login.body.token })).status, 401);
+    // Access tokens issued before the rotation too
+    assert.equal((await call('GET', '/auth/me', { token: loggedOut.token })).status, 401);
+    assert.equal((await refresh(login.body.refresh_token)).status, 401);
+  });
+});
@@ -0,0 +1,188 @@
+// test/tenancy.test.js
+// Two retailers against the real app and database (DATABASE_URL, migrated):
+// neither may read or change the other's products, campaigns, stores, scans
+// or account. Resources answer 404 so their ids don't leak; account routes
+// answer 403.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+const alice = {};
+const bob = {};
+
+// Each retailer gets a product, an active campaign for it, a store and a scan
+async function seed(retailer, city) {
+  const { token } = retailer;
+  const product = await call('POST', '/products', { token, body: { name: 'Lamp', price: 25 } });
+  assert.equal(product.status, 201);
+  retailer.product = product.body.id;
+
+  const campaign = await call('POST', '/campaigns', {
+    token,
+    body: {
+      product_id: retailer.product,
+      campaign_name: 'Window poster',
+      qr_code_identifier: `tenancy-${uuidv4()}`,
+      commission_percent: 10
+    }
+  });
+  assert.equal(campaign.status, 201);
+  retailer.campaign = campaign.body.id;
+
+  const store = await call('POST', '/stores', { token, body: { name: 'Main St', lat: -36.85, lon: 174.76 } });
+  assert.equal(store.status, 201);
+  retailer.store = store.body.id;
+
+  const scan = await call('POST', '/analytics/scan', {
+    body: {
+      campaign_id: retailer.campaign,
+      scanned_at: new Date().toISOString(),
+      coords: { lat: -36.85, lon: 174.76 },
+      city
+    }
+  });
+  assert.equal(scan.status, 201);
+  retailer.scan = scan.body.id;
+}
+
+before(async () => {
+  await startServer();
+  Object.assign(alice, await createRetailer());
+  Object.assign(bob, await createRetailer());
+  await seed(alice, `Alice City ${alice.id}`);
+  await seed(bob, `Bob City ${bob.id}`);
+});
+
+after(async () => {
+  await removeRetailers([alice.id, bob.id]);
+  await stopServer();
+});
+
+describe('products', () => {
+  it('lists only the caller\'s products', async () => {
+    const { status, body } = await call('GET', '/products', { token: bob.token });
+    assert.equal(status, 200);
+    const ids = body.map(product => product.id);
+    assert.ok(ids.includes(bob.product));
+    assert.ok(!ids.includes(alice.product));
+  });
+
+  it('hides another retailer\'s product from changes', async () => {
+    const put = await call('PUT', `/products/${alice.product}`, { token: bob.token, body: { name: 'Mine now', price: 1 } });
+    assert.equal(put.status, 404);
+    const del = await call('DELETE', `/products/${alice.product}`, { token: bob.token });
+    assert.equal(del.status, 404);
+  });
+
+  it('won\'t attach another retailer\'s product to a campaign', async () => {
+    const { status } = await call('POST', '/campaigns', {
+      token: bob.token,
+      body: {
+        product_id: alice.product,
+        campaign_name: 'Borrowed',
+        qr_code_identifier: `tenancy-${uuidv4()}`,
+        commission_percent: 10
+      }
+    });
+    assert.equal(status, 400);
+  });
+});
+
+describe('campaigns', () => {
+  it('lists only the caller\'s campaigns', async () => {
+    const { status, body } = await call('GET', '/campaigns', { token: bob.token });
+    assert.equal(status, 200);
+    const ids = body.map(campaign => campaign.id);
+    assert.ok(ids.includes(bob.campaign));
+    assert.ok(!ids.includes(alice.campaign));
+  });
+
+  it('hides another retailer\'s campaign', async () => {
+    const path = `/campaigns/${alice.campaign}`;
+    assert.equal((await call('GET', path, { token: bob.token })).status, 404);
+    assert.equal((await call('PUT', path, { token: bob.token, body: { campaign_name: 'Mine now' } })).status, 404);
+    assert.equal((await call('DELETE', path, { token: bob.token })).status, 404);
+    assert.equal((await call('POST', `${path}/generate-assets`, { token: bob.token })).status, 404);
+    assert.equal((await call('GET', `${path}/placements`, { token: bob.token })).status, 404);
+    assert.equal((await call('GET', `${path}/funnel`, { token: bob.token })).status, 404);
+  });
+
+  it('still serves the owner', async () => {
+    const { status, body } = await call('GET', `/campaigns/${alice.campaign}`, { token: alice.token });
+    assert.equal(status, 200);
+    assert.equal(body.campaign_name, 'Window poster');
+  });
+});
+
+describe('campaign funnel', () => {
+  it('counts each scan\'s product page view once', async () => {
+    const path = `/campaigns/${alice.campaign}/funnel?include_flagged=true`;
+    assert.equal((await call('GET', path, { token: alice.token })).body.funnel.product_views, 0);
+    assert.equal((await call('POST', `/analytics/scan/${alice.scan}/view`)).status, 204);
+    assert.equal((await call('POST', `/analytics/scan/${alice.scan}/view`)).status, 204);
+    const { status, body } = await call('GET', path, { token: alice.token });
+    assert.equal(status, 200);
+    assert.equal(body.funnel.scans, 1);
+    assert.equal(body.funnel.product_views, 1);
+  });
+
+  it('won\'t record a view for an unknown scan', async () => {
+    assert.equal((await call('POST', `/analytics/scan/${uuidv4()}/view`)).status, 404);
+  });
+});
+
+describe('stores', () => {
+  it('lists only the caller\'s stores', async () => {
+    const { status, body } = await call('GET', '/stores', { token: bob.token });
+    assert.equal(status, 200);
+    const ids = body.map(store => store.id);
+    assert.ok(ids.includes(bob.store));
+    assert.ok(!ids.includes(alice.store));
+  });
+
+  it('hides another retailer\'s store', async () => {
+    const path = `/stores/${alice.store}`;
+    assert.equal((await call('GET', path, { token: bob.token })).status, 404);
+    assert.equal((await call('PUT', path, { token: bob.token, body: { name: 'Mine now' } })).status, 404);
+    assert.equal((await call('DELETE', path, { token: bob.token })).status, 404);
+    assert.equal((await call('GET', path, { token: alice.token })).status, 200);
+  });
+});
+
+describe('scan summaries', () => {
+  it('counts only the caller\'s scans by city', async () => {
+    const { status, body } = await call('GET', '/analytics/scans/summary/city?include_flagged=true', { token: bob.token });
+    assert.equal(status, 200);
+    const cities = body.map(row => row.city);
+    assert.ok(cities.includes(`Bob City ${bob.id}`));
+    assert.ok(!cities.includes(`Alice City ${alice.id}`));
+  });
+
+  it('requires a login for the city summary', async () => {
+    assert.equal((await call('GET', '/analytics/scans/summary/city')).status, 401);
+  });
+
+  it('hides another retailer\'s campaign summary', async () => {
+    const path = `/analytics/scans/summary/campaign/${alice.campaign}`;
+    assert.equal((await call('GET', path, { token: bob.token })).status, 404);
+    assert.equal((await call('GET', path, { token: alice.token })).status, 200);
+  });
+});
+
+describe('retailer accounts', () => {
+  it('forbids reading or changing another retailer\'s account', async () => {
+    const path = `/retailers/${alice.id}`;
+    assert.equal((await call('GET', path, { token: bob.token })).status, 403);
+    assert.equal((await call('PUT', path, { token: bob.token, body: { name: 'Mine now' } })).status, 403);
+    assert.equal((await call('DELETE', path, { token: bob.token })).status, 403);
+  });
+
+  it('lets a retailer read their own account', async () => {
+    const { status, body } = await call('GET', `/retailers/${alice.id}`, { token: alice.token });
+    assert.equal(status, 200);
+    assert.equal(body.id, alice.id);
+    assert.equal(body.password, undefined);
+  });
+});
@@ -0,0 +1,85 @@
+// test/timeseries.test.js
+// GET /analytics/scans/timeseries: buckets follow the calendar of `tz`, and
+// group_by only takes known dimensions.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+let retailer;
+let campaign;
+
+// 23:30 on 10 January and 00:30 on 11 January in Auckland (UTC+13), both
+// on 10 January in UTC
+const SCANNED_AT = ['2026-01-10T10:30:00.000Z', '2026-01-10T11:30:00.000Z'];
+
+before(async () => {
+  await startServer();
+  retailer = await createRetailer();
+  const product = await call('POST', '/products', { token: retailer.token, body: { name: 'Lamp', price: 25 } });
+  assert.equal(product.status, 201);
+  const created = await call('POST', '/campaigns', {
+    token: retailer.token,
+    body: {
+      product_id: product.body.id,
+      campaign_name: 'Window poster',
+      qr_code_identifier: `test-${uuidv4()}`,
+      commission_percent: 10
+    }
+  });
+  assert.equal(created.status, 201);
+  campaign = created.body.id;
+  for (const [i, scanned_at] of SCANNED_AT.entries()) {
+    // Distinct devices, so the second isn't suppressed as a duplicate
+    const scan = await call('POST', '/analytics/scan', {
+      body: { campaign_id: campaign, scanned_at, coords: { lat: -36.85, lon: 174.76 }, user_agent: `Mozilla/5.0 (device ${i})` }
+    });
+    assert.equal(scan.status, 201);
+  }
+});
+
+after(async () => {
+  await removeRetailers([retailer && retailer.id]);
+  await stopServer();
+});
+
+// Days between 9 and 12 January; the scans are old enough to be flagged stale
+function timeseries(query) {
+  const params = new URLSearchParams({
+    from: '2026-01-09T00:00:00Z',
+    to: '2026-01-12T00:00:00Z',
+    campaign_id: campaign,
+    include_flagged: 'true',
+    ...query
+  });
+  return call('GET', `/analytics/scans/timeseries?${params}`, { token: retailer.token });
+}
+
+describe('GET /analytics/scans/timeseries', () => {
+  it('buckets days from UTC midnight by default', async () => {
+    const { status, body } = await timeseries({});
+    assert.equal(status, 200);
+    assert.deepEqual(body.buckets.map(({ bucket, scans }) => [bucket, scans]), [
+      ['2026-01-10T00:00:00.000Z', 2]
+    ]);
+  });
+
+  it('buckets days from local midnight in another time zone', async () => {
+    const { status, body } = await timeseries({ tz: 'Pacific/Auckland' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.buckets.map(({ bucket, scans }) => [bucket, scans]), [
+      ['2026-01-09T11:00:00.000Z', 1],
+      ['2026-01-10T11:00:00.000Z', 1]
+    ]);
+    assert.equal(body.totals.scans, 2);
+  });
+
+  it('rejects an unknown group_by dimension', async () => {
+    const { status, body } = await timeseries({ group_by: 'city,shoe_size' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'validation_failed');
+    assert.deepEqual(body.fields.map(field => field.field), ['group_by']);
+    assert.match(body.fields[0].message, /^shoe_size is not one of/);
+  });
+});
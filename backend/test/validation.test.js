@@ -0,0 +1,59 @@
+// test/validation.test.js
+// Malformed requests are answered by validateRequest from the documented
+// schemas: a 400 with code validation_failed and the failing fields.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+let retailer;
+
+before(async () => {
+  await startServer();
+  retailer = await createRetailer();
+});
+
+after(async () => {
+  await removeRetailers([retailer && retailer.id]);
+  await stopServer();
+});
+
+async function assertInvalid(method, path, body, field, token) {
+  const res = await call(method, path, { body, token });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'validation_failed');
+  assert.ok(res.body.fields.some(f => f.field === field), `expected a problem with ${field}: ${JSON.stringify(res.body.fields)}`);
+}
+
+describe('request validation', () => {
+  it('rejects empty credentials', async () => {
+    await assertInvalid('POST', '/auth/login', { login: '', password: 'secret' }, 'login');
+    await assertInvalid('POST', '/retailers/login', { username: 'demo' }, 'password');
+  });
+
+  it('rejects an order without its required fields', async () => {
+    await assertInvalid('POST', '/orders', { product_id: 'not-a-uuid' }, 'product_id');
+    await assertInvalid('POST', '/orders', { product_id: '00000000-0000-4000-8000-000000000000' }, 'customer_id');
+  });
+
+  it('rejects a scan without coordinates or with a bad campaign id', async () => {
+    await assertInvalid('POST', '/analytics/scan', { campaign_id: 'nope', coords: { lat: 1, lon: 2 } }, 'campaign_id');
+    await assertInvalid('POST', '/analytics/scan', { campaign_id: '00000000-0000-4000-8000-000000000000' }, 'coords');
+  });
+
+  it('rejects an API key without scopes', async () => {
+    await assertInvalid('POST', '/api-keys', { name: 'Till', scopes: [] }, 'scopes', retailer.token);
+  });
+
+  it('rejects redirect targets that aren\'t http(s) URLs', async () => {
+    const campaign = { product_id: '00000000-0000-4000-8000-000000000000', campaign_name: 'Poster', qr_code_identifier: 'poster' };
+    await assertInvalid('POST', '/campaigns', { ...campaign, fallback_url: 'javascript:alert(1)' }, 'fallback_url', retailer.token);
+    await assertInvalid('POST', '/campaigns', { ...campaign, coming_soon_url: 'not a url' }, 'coming_soon_url', retailer.token);
+    await assertInvalid('PUT', '/campaigns/00000000-0000-4000-8000-000000000000', { fallback_url: 'ftp://example.com/' }, 'fallback_url', retailer.token);
+    await assertInvalid('PUT', `/retailers/${retailer.id}`, { storefront_url: 'javascript:alert(1)' }, 'storefront_url', retailer.token);
+  });
+
+  it('rejects a QR code request without a URL', async () => {
+    await assertInvalid('POST', '/generate-qr', {}, 'url');
+  });
+});
@@ -0,0 +1,86 @@
+// test/webhooks.test.js
+// Webhook URLs must not reach internal addresses, on registration or on
+// delivery.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { destinationProblem } = require('../webhooks/destination');
+const { createWebhookService } = require('../webhooks');
+const { startServer, stopServer, call, createRetailer, removeRetailers } = require('./helpers');
+
+const resolvesTo = address => async () => [{ address, family: address.includes(':') ? 6 : 4 }];
+
+describe('destinationProblem', () => {
+  for (const url of [
+    'http://localhost/',
+    'http://127.0.0.1:4000/',
+    'http://10.1.2.3/',
+    'http://172.16.0.1/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fd00::1]/',
+    'http://2130706433/'
+  ]) {
+    it(`refuses ${url}`, async () => {
+      assert.match(await destinationProblem(url, { env: {} }), /loopback, private or link-local/);
+    });
+  }
+
+  it('refuses a host that resolves to a private address', async () => {
+    const problem = await destinationProblem('https://hooks.example.com/', { env: {}, lookup: resolvesTo('10.0.0.5') });
+    assert.match(problem, /private/);
+  });
+
+  it('accepts a public host', async () => {
+    assert.equal(await destinationProblem('https://hooks.example.com/', { env: {}, lookup: resolvesTo('93.184.215.14') }), null);
+  });
+
+  it('accepts allow-listed hosts', async () => {
+    assert.equal(await destinationProblem('http://localhost:4000/', { env: { WEBHOOK_ALLOWED_HOSTS: 'localhost' } }), null);
+  });
+
+  it('requires https in production', async () => {
+    const env = { NODE_ENV: 'production' };
+    assert.equal(await destinationProblem('http://hooks.example.com/', { env, lookup: resolvesTo('93.184.215.14') }), 'url must use https');
+  });
+
+  it('rejects other schemes', async () => {
+    assert.match(await destinationProblem('ftp://hooks.example.com/', { env: {} }), /http\(s\)/);
+  });
+});
+
+describe('webhook routes and delivery', () => {
+  let retailer;
+
+  before(async () => {
+    await startServer();
+    retailer = await createRetailer();
+  });
+
+  after(async () => {
+    await removeRetailers([retailer && retailer.id]);
+    await stopServer();
+  });
+
+  it('refuses to register an internal URL', async () => {
+    const { status, body } = await call('POST', '/webhooks', {
+      token: retailer.token,
+      body: { url: 'http://169.254.169.254/latest/meta-data/', events: ['order.created'] }
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /link-local/);
+  });
+
+  it('refuses to deliver to an internal URL', async () => {
+    let recorded;
+    const service = createWebhookService({
+      models: { recordWebhookAttempt: async (id, result) => { recorded = result; } },
+      log: { error() {} }
+    });
+    await service.deliver({ id: 'd1', url: 'http://127.0.0.1:9/', event_type: 'order.created', payload: {}, secret: 's', attempts: 0 });
+    assert.equal(recorded.ok, false);
+    assert.match(recorded.error, /^Blocked destination/);
+  });
+});
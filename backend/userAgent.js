@@ -0,0 +1,17 @@
+// userAgent.js
+// Lightweight user-agent classification for scan analytics
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|preview|curl|wget|python-requests|headless/i;
+const TABLET_PATTERN = /ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i;
+const MOBILE_PATTERN = /mobi|iphone|ipod|android|blackberry|opera mini|iemobile|windows phone/i;
+
+// Returns 'bot', 'tablet', 'mobile', 'desktop', or null when no UA was sent
+function parseDeviceType(userAgent) {
+  if (!userAgent) return null;
+  if (BOT_PATTERN.test(userAgent)) return 'bot';
+  if (TABLET_PATTERN.test(userAgent)) return 'tablet';
+  if (MOBILE_PATTERN.test(userAgent)) return 'mobile';
+  return 'desktop';
+}
+
+module.exports = { parseDeviceType };
@@ -0,0 +1,158 @@
+// validation.js
+// Request (and optionally response) validation driven by the swagger specs in
+// index.js, so the documented schemas are the ones enforced. Operations are
+// looked up by the Express route that matched, e.g. `/campaigns/:id` is the
+// documented `/campaigns/{id}`; routes without docs pass through.
+//
+// Invalid requests get a 400 (a ValidationError, see errors.js) listing every
+// failing field:
+//   { "error": "Invalid request", "code": "validation_failed",
+//     "fields": [{ "in": "body", "field": "price", "message": "must be number" }], "request_id": "..." }
+//
+//   VALIDATE_RESPONSES   true | false   check JSON responses against the documented
+//                                      response schema and answer 500 on a mismatch
+//                                      (default true when NODE_ENV=test)
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('./errors');
+const { logger } = require('./logger');
+
+// Bodies must match exactly; query and path values arrive as strings and are
+// checked as the types they would convert to
+const bodyAjv = addFormats(new Ajv({ allErrors: true, strict: false }));
+const paramAjv = addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: true }));
+
+// Inline local `$ref`s (#/components/...) so each schema compiles on its own
+function resolveRefs(node, spec) {
+  if (Array.isArray(node)) return node.map(item => resolveRefs(item, spec));
+  if (!node || typeof node !== 'object') return node;
+  if (typeof node.$ref === 'string' && node.$ref.startsWith('#/')) {
+    const target = node.$ref.slice(2).split('/').reduce((obj, key) => obj && obj[key], spec);
+    if (!target) throw new Error(`Unresolved $ref ${node.$ref} in API docs`);
+    return resolveRefs(target, spec);
+  }
+  const resolved = {};
+  for (const [key, value] of Object.entries(node)) resolved[key] = resolveRefs(value, spec);
+  return resolved;
+}
+
+function jsonSchema(content, type = 'application/json') {
+  return content && content[type] && content[type].schema;
+}
+
+function formatErrors(errors, location) {
+  return errors.map(err => {
+    const path = err.instancePath.split('/').filter(Boolean);
+    if (err.keyword === 'required') {
+      path.push(err.params.missingProperty);
+      return { in: location, field: path.join('.'), message: 'is required' };
+    }
+    const message = err.keyword === 'enum'
+      ? `must be one of: ${err.params.allowedValues.join(', ')}`
+      : err.message;
+    return { in: location, field: path.join('.') || location, message };
+  });
+}
+
+function compileParameters(parameters, location) {
+  const params = parameters.filter(param => param.in === location && param.schema);
+  if (!params.length) return null;
+  return paramAjv.compile({
+    type: 'object',
+    properties: Object.fromEntries(params.map(param => [param.name, param.schema])),
+    required: params.filter(param => param.required).map(param => param.name)
+  });
+}
+
+// Validators for one documented operation
+function compileOperation(operation, spec) {
+  const op = resolveRefs(operation, spec);
+  const parameters = op.parameters || [];
+  const body = op.requestBody && jsonSchema(op.requestBody.content);
+  // Response validators by status, then by content type (application/json,
+  // application/geo+json, ...)
+  const responses = {};
+  for (const [status, response] of Object.entries(op.responses || {})) {
+    for (const type of Object.keys(response.content || {})) {
+      const schema = jsonSchema(response.content, type);
+      if (schema) responses[status] = { ...responses[status], [type]: bodyAjv.compile(schema) };
+    }
+  }
+  return {
+    query: compileParameters(parameters, 'query'),
+    path: compileParameters(parameters, 'path'),
+    body: body ? bodyAjv.compile(body) : null,
+    bodyRequired: Boolean(op.requestBody && op.requestBody.required),
+    responses
+  };
+}
+
+function createValidator(spec, { validateResponses = responseValidationFromEnv() } = {}) {
+  const cache = new Map();
+
+  // The compiled operation for the route that matched this request, or null
+  function operationFor(req) {
+    if (!req.route) return null;
+    const method = req.method.toLowerCase();
+    const path = req.route.path.replace(/:(\w+)/g, '{$1}');
+    const key = `${method} ${path}`;
+    if (!cache.has(key)) {
+      const operation = spec.paths && spec.paths[path] && spec.paths[path][method];
+      cache.set(key, operation ? compileOperation(operation, spec) : null);
+    }
+    return cache.get(key);
+  }
+
+  // Route middleware; put it after authentication so anonymous callers
+  // learn nothing about the expected body
+  function validateRequest(req, res, next) {
+    const op = operationFor(req);
+    if (!op) return next();
+    const fields = [];
+    for (const location of ['path', 'query']) {
+      const check = op[location];
+      const values = { ...(location === 'path' ? req.params : req.query) };
+      if (check && !check(values)) fields.push(...formatErrors(check.errors, location));
+    }
+    // No JSON body at all (body-parser leaves req.body undefined)
+    if (op.body && req.body === undefined) {
+      if (op.bodyRequired) fields.push({ in: 'body', field: 'body', message: 'is required' });
+    } else if (op.body && !op.body(req.body)) {
+      fields.push(...formatErrors(op.body.errors, 'body'));
+    }
+    next(fields.length ? new ValidationError('Invalid request', fields) : undefined);
+  }
+
+  // App middleware that checks every JSON response against its documented
+  // schema before it is sent
+  function checkResponses(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+      const op = operationFor(req);
+      const byType = op && (op.responses[res.statusCode] || op.responses.default);
+      const type = (res.get('Content-Type') || 'application/json').split(';')[0];
+      const check = byType && byType[type];
+      // Round-trip so dates and other toJSON values are checked as sent
+      if (check && body !== undefined && !check(JSON.parse(JSON.stringify(body)))) {
+        const fields = formatErrors(check.errors, 'response');
+        (req.log || logger).error('response does not match the API docs', { method: req.method, route: req.route.path, fields });
+        res.status(500);
+        return json({ error: 'Response does not match the API docs', code: 'internal_error', fields, request_id: req.id });
+      }
+      return json(body);
+    };
+    next();
+  }
+
+  return {
+    validateRequest,
+    checkResponses: validateResponses ? checkResponses : (req, res, next) => next()
+  };
+}
+
+function responseValidationFromEnv(env = process.env) {
+  if (env.VALIDATE_RESPONSES) return env.VALIDATE_RESPONSES === 'true';
+  return env.NODE_ENV === 'test';
+}
+
+module.exports = { createValidator };
@@ -0,0 +1,102 @@
+// webhooks/destination.js
+// Where webhooks may be sent. Endpoint URLs come from retailers, so the
+// worker must not be pointed at internal services: localhost, the private
+// network or cloud metadata (169.254.169.254). A URL is refused when its host
+// is, or resolves to, a loopback, private, link-local or otherwise non-public
+// address. It is checked on registration and again before every delivery, and
+// deliveries connect through deliveryAgent, which refuses such addresses at
+// connect time so a changed DNS answer can't slip past the check. Production
+// only accepts https URLs.
+//
+//   WEBHOOK_ALLOWED_HOSTS   comma-separated hosts exempt from the address
+//                           check, e.g. localhost for webhooks/receiver.js
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv6'));
+
+// The IPv4 address inside an IPv4-mapped IPv6 one (::ffff:127.0.0.1, which
+// URL parsing turns into ::ffff:7f00:1), or null
+function mappedIPv4(address) {
+  const match = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isPublicAddress(address) {
+  const ipv4 = net.isIPv4(address) ? address : mappedIPv4(address);
+  if (ipv4) return !BLOCKED.check(ipv4, 'ipv4');
+  return net.isIPv6(address) && !BLOCKED.check(address, 'ipv6');
+}
+
+function allowedHosts(env) {
+  return new Set((env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+}
+
+// URL hostnames keep the brackets around IPv6 addresses
+const bareHost = url => url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+// Why `url` can't receive webhooks, or null when it can
+async function destinationProblem(url, { env = process.env, lookup = dns.promises.lookup } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be an absolute http(s) URL';
+  if (env.NODE_ENV === 'production' && parsed.protocol !== 'https:') return 'url must use https';
+
+  const host = bareHost(parsed);
+  if (allowedHosts(env).has(host)) return null;
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await lookup(host, { all: true })).map(entry => entry.address);
+    } catch (err) {
+      return `url host ${host} could not be resolved`;
+    }
+  }
+  if (!addresses.every(isPublicAddress)) {
+    return 'url must not point at a loopback, private or link-local address';
+  }
+  return null;
+}
+
+// dns.lookup for outgoing connections that fails on non-public answers
+function publicLookup(env) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, result, family) => {
+      if (err) return callback(err);
+      const addresses = Array.isArray(result) ? result.map(entry => entry.address) : [result];
+      if (!allowedHosts(env).has(hostname.toLowerCase()) && !addresses.every(isPublicAddress)) {
+        const blocked = new Error(`${hostname} resolves to a non-public address`);
+        blocked.code = 'EBLOCKED';
+        return callback(blocked);
+      }
+      callback(null, result, family);
+    });
+  };
+}
+
+// node-fetch `agent` option for deliveries
+function deliveryAgent(env = process.env) {
+  const lookup = publicLookup(env);
+  const agents = { 'http:': new http.Agent({ lookup }), 'https:': new https.Agent({ lookup }) };
+  return url => agents[url.protocol];
+}
+
+module.exports = { destinationProblem, deliveryAgent, isPublicAddress };
@@ -0,0 +1,113 @@
+// webhooks/index.js
+// Sends queued webhook deliveries (see queueWebhookEvent in models.js).
+// A timer claims due deliveries, POSTs each signed payload and records the
+// outcome. Non-2xx responses and network errors are retried with exponential
+// backoff until the attempt limit, after which the delivery is marked failed
+// and can only be sent again through the redeliver endpoint.
+//
+//   WEBHOOK_POLL_MS          how often to look for due deliveries (default 2000)
+//   WEBHOOK_TIMEOUT_MS       per-request timeout (default 10000)
+//   WEBHOOK_MAX_ATTEMPTS     attempts before giving up (default 8)
+//   WEBHOOK_RETRY_BASE_MS    first retry delay, doubled each time (default 30000)
+//
+// Deliveries to internal addresses are refused (see destination.js).
+const { signPayload } = require('./signature');
+const { destinationProblem, deliveryAgent } = require('./destination');
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args)); // Fix for ESM
+
+const MAX_RETRY_DELAY_MS = 6 * 3600 * 1000;
+
+function createWebhookService({
+  models,
+  pollIntervalMs = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 2000,
+  timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000,
+  log = console
+}) {
+  const stats = { delivered: 0, failures: 0 };
+  const agent = deliveryAgent();
+  let timer = null;
+  let running = false;
+
+  // Delay before the next attempt, or null once attempts are used up
+  function retryAt(attemptsMade) {
+    if (attemptsMade >= maxAttempts) return null;
+    const delay = Math.min(retryBaseMs * 2 ** (attemptsMade - 1), MAX_RETRY_DELAY_MS);
+    return new Date(Date.now() + delay);
+  }
+
+  async function post(delivery) {
+    const problem = await destinationProblem(delivery.url);
+    if (problem) return { ok: false, error: `Blocked destination (${problem})` };
+    const body = JSON.stringify(delivery.payload);
+    const controller = new AbortController();
+    const abort = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'GlassCart-Webhooks/1.0',
+          'X-GlassCart-Event': delivery.event_type,
+          'X-GlassCart-Delivery': delivery.id,
+          'X-GlassCart-Signature': signPayload(delivery.secret, body)
+        },
+        body,
+        agent,
+        signal: controller.signal
+      });
+      return { ok: res.ok, response_status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+    } catch (err) {
+      return { ok: false, error: `Request failed (${err.code || err.name})` };
+    } finally {
+      clearTimeout(abort);
+    }
+  }
+
+  async function deliver(delivery) {
+    const result = await post(delivery);
+    const next = result.ok ? null : retryAt(delivery.attempts + 1);
+    if (result.ok) stats.delivered += 1;
+    else {
+      stats.failures += 1;
+      log.error(`Webhook delivery ${delivery.id} (${delivery.event_type}) failed: ${result.error}`);
+    }
+    return models.recordWebhookAttempt(delivery.id, { ...result, retryAt: next });
+  }
+
+  // One pass: queue campaign.ended events that are due, then send
+  // everything that is waiting
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await models.queueEndedCampaignEvents();
+      let batch;
+      do {
+        batch = await models.claimWebhookDeliveries({ leaseMs: timeoutMs * 2 });
+        for (const delivery of batch) await deliver(delivery);
+      } while (batch.length > 0);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch(err => log.error('Webhook worker failed:', err.message));
+    }, pollIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { tick, deliver, start, stop, stats };
+}
+
+module.exports = { createWebhookService };
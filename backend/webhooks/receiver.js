@@ -0,0 +1,28 @@
+// webhooks/receiver.js
+// Minimal local endpoint for trying out webhooks during development:
+//
+//   WEBHOOK_SECRET=whsec_... node webhooks/receiver.js
+//
+// Register http://localhost:4000/ (or WEBHOOK_RECEIVER_PORT) as the endpoint
+// URL, with WEBHOOK_ALLOWED_HOSTS=localhost set for the API. Each event is printed with whether its signature checks out. Set
+// WEBHOOK_RECEIVER_STATUS to answer with another status code, e.g. 500 to
+// watch the retries.
+const http = require('http');
+const { verifySignature } = require('./signature');
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 4000;
+const STATUS = parseInt(process.env.WEBHOOK_RECEIVER_STATUS, 10) || 200;
+const SECRET = process.env.WEBHOOK_SECRET;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signature = req.headers['x-glasscart-signature'];
+    const verified = SECRET ? verifySignature(SECRET, body, signature) : 'unchecked (no WEBHOOK_SECRET)';
+    console.log(`${new Date().toISOString()} ${req.headers['x-glasscart-event']} ` +
+      `delivery=${req.headers['x-glasscart-delivery']} signature=${verified}`);
+    console.log(body);
+    res.writeHead(STATUS).end();
+  });
+}).listen(PORT, () => console.log(`Webhook receiver listening on port ${PORT}`));
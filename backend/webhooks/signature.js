@@ -0,0 +1,27 @@
+// webhooks/signature.js
+// HMAC-SHA256 signatures for webhook bodies, sent as
+//   X-GlassCart-Signature: t=<unix seconds>,v1=<hex hmac of "<t>.<body>">
+// Signing the timestamp with the body lets receivers reject replays.
+const crypto = require('crypto');
+
+function hmac(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+// For receivers: true if `header` is a valid signature of `body` made
+// within `toleranceSec` of now
+function verifySignature(secret, body, header, { toleranceSec = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSec) return false;
+  const expected = Buffer.from(hmac(secret, timestamp, body));
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { signPayload, verifySignature };